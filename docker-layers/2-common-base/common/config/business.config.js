@@ -4,10 +4,15 @@
  * Version: 1.0.0 (Minimal)
  * 
  * Purpose: Business rules and validation patterns
- *          Add business logic parameters as requirements emerge
+ *          Add business logic parameters as requirements emerge.
+ *          Values below are the defaults; environment files, environment variables
+ *          and secrets are layered on top and validated by config-loader.js
  */
 
-module.exports = {
+const { loadConfig } = require('./config-loader');
+const businessSchema = require('./business.schema');
+
+const DEFAULTS = {
   
   /**
    * Validation Rules
@@ -19,5 +24,174 @@ module.exports = {
     vinNumber: /^[A-HJ-NPR-Z0-9]{17}$/,
     maxFileUploadMB: 25,
     allowedImageTypes: ['jpeg', 'jpg', 'png', 'pdf']
+  },
+
+  /**
+   * Authorization Rules
+   * Permissions granted per User.userRoleId as 'resource:action' ('resource:*' for every action).
+   * Tenant isolation applies on top: customer users (isCustomer=true) stay within their customer,
+   * and within it to their assigned accounts and descendants unless the role has allAccounts.
+   * rank orders the roles (higher outranks lower): customer users can only give other users
+   * roles up to their own rank
+   */
+  authorization: {
+    roles: {
+      1: {
+        name: 'ADMINISTRATOR',
+        rank: 3,
+        allAccounts: true,          // Customer administrators see every account of their customer
+        permissions: ['customer:*', 'account:*', 'user:*', 'config:read']  // config:read only used by staff (GET /admin/config)
+      },
+      2: {
+        name: 'MANAGER',
+        rank: 2,
+        permissions: ['customer:read', 'customer:update', 'customer:audit', 'account:*', 'user:*']
+      },
+      3: {
+        name: 'MEMBER',
+        rank: 1,
+        permissions: ['customer:read', 'account:read', 'account:export', 'user:read', 'user:export']
+      }
+    }
+  },
+
+  /**
+   * User-Account Assignment Rules
+   */
+  assignments: {
+    maxBulkAccounts: 500        // Accounts accepted by one bulk assignment request
+  },
+
+  /**
+   * Customer Onboarding Import Rules
+   */
+  import: {
+    maxRecords: 5000,           // Customer, account and user records per import
+    defaultCustomerStatus: 'ACT'
+  },
+
+  /**
+   * Audit Trail Rules
+   * Writes to these entities through GenericRepository and soft delete are recorded in audit_log
+   */
+  audit: {
+    entities: ['customer', 'account', 'user', 'userHasAccount'],
+
+    // Owning customer of entities without a customerId column, read from the referenced row
+    // (foreignKey is also the primary key of that entity)
+    customerOwner: {
+      userHasAccount: { entity: 'user', foreignKey: 'userId' }
+    },
+
+    maxHistoryPageSize: 100     // Entries per history page
+  },
+
+  /**
+   * List Query Rules
+   * Whitelists for ?filter[field][operator]=value&sort=-field,field on list endpoints
+   * Field types: string, integer, date, boolean (they decide the allowed operators)
+   */
+  listQuery: {
+    maxSortFields: 3,
+    maxInValues: 100,
+
+    entities: {
+      account: {
+        filters: {
+          accountName: 'string',
+          accountNumber: 'string',
+          legacyAccountNumber: 'string',
+          accountType: 'string',
+          status: 'string',
+          parentAccountId: 'integer',
+          countryLookupId: 'integer',
+          accountManagerId: 'integer',
+          numberOfUsers: 'integer',
+          createdAt: 'date',
+          updatedAt: 'date'
+        },
+        sortable: ['accountId', 'accountName', 'accountNumber', 'legacyAccountNumber', 'accountType', 'status', 'numberOfUsers', 'createdAt', 'updatedAt'],
+        tieBreaker: 'accountId',     // Appended to every sort for stable paging
+
+        // Earlier snake_case query params, kept as shorthands: param -> [field, operator]
+        legacyParams: {
+          account_name: ['accountName', 'contains'],
+          account_number: ['accountNumber', 'contains'],
+          legacy_account_number: ['legacyAccountNumber', 'contains'],
+          account_type: ['accountType', 'eq'],
+          status: ['status', 'eq'],
+          country_lookup_id: ['countryLookupId', 'eq'],
+          account_manager_id: ['accountManagerId', 'eq'],
+          number_of_users: ['numberOfUsers', 'eq'],
+          is_deleted: ['status', 'deleted']
+        }
+      },
+      user: {
+        filters: {
+          firstName: 'string',
+          lastName: 'string',
+          email: 'string',
+          designation: 'string',
+          phoneNumber: 'string',
+          status: 'string',
+          userRoleId: 'integer',
+          isCustomer: 'boolean',
+          lastActive: 'date',
+          createdAt: 'date'
+        },
+        sortable: ['userId', 'firstName', 'lastName', 'email', 'designation', 'status', 'lastActive', 'createdAt'],
+        tieBreaker: 'userId',
+
+        legacyParams: {
+          first_name: ['firstName', 'contains'],
+          last_name: ['lastName', 'contains'],
+          email: ['email', 'contains'],
+          designation: ['designation', 'contains'],
+          status: ['status', 'eq'],
+          phone_number: ['phoneNumber', 'contains']
+        }
+      }
+    }
+  },
+
+  /**
+   * Soft Delete Rules
+   * Status codes and cascade rules applied when entities are soft deleted/restored
+   */
+  softDelete: {
+    activeStatus: 'ACT',
+    deletedStatus: 'DEL',
+
+    // Children flipped together with their parent (foreignKey lives on the child)
+    cascade: {
+      customer: [
+        { entity: 'account', foreignKey: 'customerId' },
+        { entity: 'user', foreignKey: 'customerId' }
+      ],
+      account: [
+        { entity: 'account', foreignKey: 'parentAccountId' },     // AccountHierarchy children
+        { entity: 'userHasAccount', foreignKey: 'accountId' }
+      ],
+      user: [
+        { entity: 'userHasAccount', foreignKey: 'userId' }
+      ]
+    },
+
+    // Restore is refused while one of these parents is still deleted
+    parents: {
+      account: [
+        { entity: 'customer', foreignKey: 'customerId' },
+        { entity: 'account', foreignKey: 'parentAccountId' }
+      ],
+      user: [
+        { entity: 'customer', foreignKey: 'customerId' }
+      ],
+      userHasAccount: [
+        { entity: 'user', foreignKey: 'userId' },
+        { entity: 'account', foreignKey: 'accountId' }
+      ]
+    }
   }
 };
+
+module.exports = loadConfig('business', DEFAULTS, businessSchema);
@@ -0,0 +1,82 @@
+/**
+ * Business Configuration Schema
+ * File: /common/config/business.schema.js
+ * Version: 1.0.0
+ *
+ * Purpose: Joi schema the merged business configuration is validated against
+ *          at startup (see config-loader.js). Unknown settings are rejected so
+ *          misspelled keys in environment files fail instead of being ignored
+ */
+
+const Joi = require('joi');
+
+const positiveInt = Joi.number().integer().min(1);
+const regex = Joi.object().instance(RegExp);
+const statusCode = Joi.string().max(3);
+const ENTITIES = ['customer', 'account', 'user', 'userHasAccount'];
+const FIELD_TYPES = ['string', 'integer', 'date', 'boolean'];
+
+const relation = Joi.object({
+  entity: Joi.string().valid(...ENTITIES).required(),
+  foreignKey: Joi.string().required()
+});
+
+const listQueryEntity = Joi.object({
+  filters: Joi.object().pattern(Joi.string(), Joi.string().valid(...FIELD_TYPES)).required(),
+  sortable: Joi.array().items(Joi.string()).min(1).required(),
+  tieBreaker: Joi.string().required(),
+  legacyParams: Joi.object().pattern(
+    Joi.string(),
+    Joi.array().ordered(Joi.string().required(), Joi.string().required())
+  ).required()
+});
+
+module.exports = Joi.object({
+  validation: Joi.object({
+    email: regex.required(),
+    phone: regex.required(),
+    vinNumber: regex.required(),
+    maxFileUploadMB: positiveInt.required(),
+    allowedImageTypes: Joi.array().items(Joi.string()).required()
+  }).required(),
+
+  authorization: Joi.object({
+    roles: Joi.object().pattern(
+      Joi.string().pattern(/^\d+$/),
+      Joi.object({
+        name: Joi.string().required(),
+        rank: positiveInt.required(),
+        allAccounts: Joi.boolean(),
+        permissions: Joi.array().items(Joi.string().pattern(/^[a-z]+:([a-z]+|\*)$/i)).required()
+      })
+    ).min(1).required()
+  }).required(),
+
+  assignments: Joi.object({
+    maxBulkAccounts: positiveInt.required()
+  }).required(),
+
+  import: Joi.object({
+    maxRecords: positiveInt.required(),
+    defaultCustomerStatus: statusCode.required()
+  }).required(),
+
+  audit: Joi.object({
+    entities: Joi.array().items(Joi.string().valid(...ENTITIES)).required(),
+    customerOwner: Joi.object().pattern(Joi.string().valid(...ENTITIES), relation).required(),
+    maxHistoryPageSize: positiveInt.required()
+  }).required(),
+
+  listQuery: Joi.object({
+    maxSortFields: positiveInt.required(),
+    maxInValues: positiveInt.required(),
+    entities: Joi.object().pattern(Joi.string(), listQueryEntity).required()
+  }).required(),
+
+  softDelete: Joi.object({
+    activeStatus: statusCode.required(),
+    deletedStatus: statusCode.invalid(Joi.ref('activeStatus')).required(),
+    cascade: Joi.object().pattern(Joi.string().valid(...ENTITIES), Joi.array().items(relation)).required(),
+    parents: Joi.object().pattern(Joi.string().valid(...ENTITIES), Joi.array().items(relation)).required()
+  }).required()
+});
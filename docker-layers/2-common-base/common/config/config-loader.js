@@ -0,0 +1,369 @@
+/**
+ * Configuration Loader
+ * File: /common/config/config-loader.js
+ * Version: 1.0.0
+ *
+ * Purpose: Builds technical and business configuration from layers, later ones winning:
+ *          1. defaults       - the values in technical.config.js / business.config.js
+ *          2. environment    - environments/<NODE_ENV>.json (CONFIG_DIR overrides the folder),
+ *                              { "technical": {...}, "business": {...} } partial overlays
+ *          3. env variables  - TECH__SERVER__DEFAULT_PORT=3001 / BUSINESS__IMPORT__MAX_RECORDS=100
+ *                              for any setting, plus short aliases (PORT, AWS_REGION, ...)
+ *          4. secrets        - CONFIG_SECRETS, a JSON document shaped like the environment
+ *                              files (injected from Secrets Manager by the task definition)
+ *          The merged result is validated against the Joi schema of the config; every
+ *          problem is reported at once with the layer that set the value, and the process
+ *          fails at startup. Loading is synchronous because modules read configuration
+ *          when they are required. Must not depend on other common services (they require
+ *          the configuration themselves)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ENVIRONMENT = 'development';
+const DEFAULT_CONFIG_DIR = path.join(__dirname, 'environments');
+
+// Prefix of generic environment variables per config name
+const ENV_PREFIXES = {
+  technical: 'TECH',
+  business: 'BUSINESS'
+};
+
+const REDACTED = '[REDACTED]';
+
+// Setting names whose values are never shown, wherever they were set
+const SENSITIVE_KEY = /(password|secret|token|credentials?)$/i;
+
+class ConfigLoader {
+  constructor() {
+    this.environment = process.env.NODE_ENV || DEFAULT_ENVIRONMENT;
+    this.configDir = process.env.CONFIG_DIR || DEFAULT_CONFIG_DIR;
+    this.overlays = null;   // Environment file and secrets, read once for all configs
+    this.loaded = new Map(); // name -> { config, sources }
+  }
+
+  /**
+   * Build and validate one configuration
+   * @param {string} name - Config name (technical, business)
+   * @param {Object} defaults - Default values
+   * @param {Joi.Schema} schema - Joi schema of the complete configuration
+   * @param {Object} options - Load options
+   * @param {Object} options.envAliases - Setting path -> environment variable ('aws.region': 'AWS_REGION')
+   * @returns {Object} Validated configuration
+   * @throws {Error} Listing every invalid setting when validation fails
+   */
+  load(name, defaults, schema, { envAliases = {} } = {}) {
+    const overlays = this._readOverlays();
+    const problems = [...overlays.problems];
+    const sources = new Map();
+
+    let merged = defaults;
+    if (overlays.file?.[name]) {
+      merged = this._merge(merged, overlays.file[name], sources, `file:${overlays.filePath}`, []);
+    }
+
+    const env = this._readEnv(name, defaults, schema, envAliases, problems);
+    merged = this._merge(merged, env.values, sources, null, [], env.sources);
+
+    if (overlays.secrets?.[name]) {
+      merged = this._merge(merged, overlays.secrets[name], sources, 'secrets:CONFIG_SECRETS', []);
+    }
+
+    const { error, value } = schema.validate(merged, { abortEarly: false, convert: true });
+    if (error) {
+      error.details.forEach(detail => {
+        const settingPath = detail.path.join('.');
+        const source = this._sourceOf(sources, settingPath);
+
+        // Joi messages can quote the value, which must not reach the logs for secrets
+        const message = source?.startsWith('secrets:') ? `invalid value (${detail.type})` : detail.message;
+
+        problems.push(`${name}.${settingPath}: ${message}${source ? ` (set by ${source})` : ''}`);
+      });
+    }
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Invalid ${name} configuration (environment '${this.environment}'):\n` +
+        problems.map(problem => `  - ${problem}`).join('\n')
+      );
+    }
+
+    this.loaded.set(name, { config: value, sources });
+    return value;
+  }
+
+  /**
+   * Loaded configuration with secret values redacted, for GET /admin/config
+   * @returns {Object} { environment, layers, overrides, <name>: config }
+   */
+  getView() {
+    const view = {
+      environment: this.environment,
+      layers: ['defaults'],
+      overrides: {}
+    };
+
+    const overlays = this._readOverlays();
+    if (overlays.file) {
+      view.layers.push(`file:${overlays.filePath}`);
+    }
+    view.layers.push('env');
+    if (overlays.secrets) {
+      view.layers.push('secrets:CONFIG_SECRETS');
+    }
+
+    this.loaded.forEach(({ config, sources }, name) => {
+      view[name] = this._redact(config, sources, []);
+      sources.forEach((source, settingPath) => {
+        view.overrides[`${name}.${settingPath}`] = source;
+      });
+    });
+
+    return view;
+  }
+
+  /**
+   * Read environment file and secrets document (once)
+   * @private
+   */
+  _readOverlays() {
+    if (this.overlays) {
+      return this.overlays;
+    }
+
+    const problems = [];
+    const filePath = path.join(this.configDir, `${this.environment}.json`);
+    let file = null;
+    let secrets = null;
+
+    if (fs.existsSync(filePath)) {
+      try {
+        file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        problems.push(`${filePath}: ${error.message}`);
+      }
+    }
+
+    if (process.env.CONFIG_SECRETS) {
+      try {
+        secrets = JSON.parse(process.env.CONFIG_SECRETS);
+      } catch (error) {
+        // The message would echo part of the secret
+        problems.push('CONFIG_SECRETS: not valid JSON');
+      }
+    }
+
+    this.overlays = { file, filePath, secrets, problems };
+    return this.overlays;
+  }
+
+  /**
+   * Collect settings from environment variables: the generic TECH__/BUSINESS__ names of
+   * every default setting, then the aliases. Unknown generic names are reported
+   * @private
+   * @returns {Object} { values, sources } with sources as path -> 'env:NAME'
+   */
+  _readEnv(name, defaults, schema, envAliases, problems) {
+    const prefix = `${ENV_PREFIXES[name]}__`;
+    const settings = new Map(this._leafPaths(defaults).map(settingPath => [this._envName(prefix, settingPath), settingPath]));
+    const values = {};
+    const sources = new Map();
+
+    const apply = (variable, settingPath) => {
+      // Empty variables leave the setting to the lower layers
+      if (process.env[variable] === '') {
+        return;
+      }
+
+      try {
+        const parsed = this._parseEnvValue(process.env[variable], this._get(defaults, settingPath), schema, settingPath);
+        this._set(values, settingPath, parsed);
+        sources.set(settingPath, `env:${variable}`);
+      } catch (error) {
+        problems.push(`${variable}: ${error.message}`);
+      }
+    };
+
+    Object.keys(process.env)
+      .filter(variable => variable.startsWith(prefix))
+      .forEach(variable => {
+        if (!settings.has(variable)) {
+          problems.push(`${variable}: no ${name} setting with this name`);
+          return;
+        }
+        apply(variable, settings.get(variable));
+      });
+
+    // Aliases win over the generic name of the same setting
+    Object.entries(envAliases)
+      .filter(([, variable]) => process.env[variable] !== undefined)
+      .forEach(([settingPath, variable]) => apply(variable, settingPath));
+
+    return { values, sources };
+  }
+
+  /**
+   * Turn an environment string into the shape of the setting; scalars are left
+   * to the Joi conversion (numbers, booleans)
+   * @private
+   */
+  _parseEnvValue(raw, defaultValue, schema, settingPath) {
+    if (defaultValue instanceof RegExp) {
+      return new RegExp(raw);
+    }
+
+    const type = Array.isArray(defaultValue) ? 'array' : this._schemaType(schema, settingPath);
+    const trimmed = raw.trim();
+
+    if (type === 'array') {
+      return trimmed.startsWith('[')
+        ? JSON.parse(trimmed)
+        : trimmed.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (type === 'object') {
+      return JSON.parse(trimmed);
+    }
+
+    return raw;
+  }
+
+  /**
+   * Joi type of a setting, undefined when the schema cannot resolve the path
+   * @private
+   */
+  _schemaType(schema, settingPath) {
+    try {
+      return schema.extract(settingPath).type;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Deep merge of plain objects; arrays and other values replace. Records the layer of
+   * every leaf the overlay sets (layer null for defaults, or per path via layerSources)
+   * @private
+   */
+  _merge(base, overlay, sources, layer, parentPath, layerSources = null) {
+    const result = this._isPlainObject(base) ? { ...base } : {};
+
+    Object.entries(overlay).forEach(([key, value]) => {
+      const settingPath = [...parentPath, key];
+
+      if (this._isPlainObject(value) && this._isPlainObject(result[key])) {
+        result[key] = this._merge(result[key], value, sources, layer, settingPath, layerSources);
+        return;
+      }
+
+      result[key] = this._isPlainObject(value) ? this._merge({}, value, sources, layer, settingPath, layerSources) : value;
+
+      const source = layerSources ? layerSources.get(settingPath.join('.')) : layer;
+      if (source && !this._isPlainObject(value)) {
+        sources.set(settingPath.join('.'), source);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Copy of a config with secret-layer and sensitive values replaced
+   * (RegExp values shown as their source text)
+   * @private
+   */
+  _redact(value, sources, parentPath) {
+    if (value instanceof RegExp) {
+      return value.toString();
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._redact(item, sources, parentPath));
+    }
+    if (!this._isPlainObject(value)) {
+      return value;
+    }
+
+    return Object.entries(value).reduce((redacted, [key, child]) => {
+      const settingPath = [...parentPath, key];
+      const fromSecrets = (sources.get(settingPath.join('.')) || '').startsWith('secrets:');
+
+      redacted[key] = (fromSecrets || SENSITIVE_KEY.test(key)) && child !== null && !this._isPlainObject(child)
+        ? REDACTED
+        : this._redact(child, sources, settingPath);
+      return redacted;
+    }, {});
+  }
+
+  /**
+   * Layer that set a setting or one of its parents (array items are set with their array)
+   * @private
+   */
+  _sourceOf(sources, settingPath) {
+    const keys = settingPath.split('.');
+
+    for (let length = keys.length; length > 0; length--) {
+      const source = sources.get(keys.slice(0, length).join('.'));
+      if (source) {
+        return source;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Dotted paths of all non-object values
+   * @private
+   */
+  _leafPaths(object, parentPath = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+      const settingPath = parentPath ? `${parentPath}.${key}` : key;
+      return this._isPlainObject(value) ? this._leafPaths(value, settingPath) : [settingPath];
+    });
+  }
+
+  /**
+   * Environment variable of a setting: server.defaultPort -> TECH__SERVER__DEFAULT_PORT
+   * @private
+   */
+  _envName(prefix, settingPath) {
+    return prefix + settingPath
+      .split('.')
+      .map(part => part.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase())
+      .join('__');
+  }
+
+  /**
+   * @private
+   */
+  _get(object, settingPath) {
+    return settingPath.split('.').reduce((value, key) => value?.[key], object);
+  }
+
+  /**
+   * @private
+   */
+  _set(object, settingPath, value) {
+    const keys = settingPath.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, object);
+    parent[keys[keys.length - 1]] = value;
+  }
+
+  /**
+   * @private
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+  }
+}
+
+// Export singleton instance
+const configLoader = new ConfigLoader();
+
+module.exports = {
+  loadConfig: (name, defaults, schema, options) => configLoader.load(name, defaults, schema, options),
+  getConfigView: () => configLoader.getView()
+};
@@ -5,10 +5,15 @@
  * 
  * Purpose: Infrastructure and technology-specific settings
  *          All technical parameters that services need for operation
- *          Optimized for ECS container deployment
+ *          Optimized for ECS container deployment.
+ *          Values below are the defaults; environment files, environment variables
+ *          and secrets are layered on top and validated by config-loader.js
  */
 
-module.exports = {
+const { loadConfig } = require('./config-loader');
+const technicalSchema = require('./technical.schema');
+
+const DEFAULTS = {
   
   /**
    * Database Configuration
@@ -18,6 +23,7 @@ module.exports = {
     defaultPort: 5432,
     connectionTimeoutMs: 30000,      // 30 seconds
     queryTimeoutMs: 15000,           // 15 seconds
+    bulkTransactionTimeoutMs: 25000, // Interactive transactions for batch writes (below request timeout)
     pool: {
       min: 2,                        // Minimum connections in pool
       max: 20,                       // Maximum connections in pool
@@ -45,11 +51,28 @@ module.exports = {
     compression: true,               // Enable gzip compression
     cors: {
       enabled: true,
+      allowedOrigins: null,          // null allows any origin
       maxAge: 86400                  // 24 hours preflight cache
-    },
-    rateLimit: {
-      windowMs: 900000,              // 15 minutes
-      max: 1000                      // Requests per window per IP
+    }
+  },
+
+  /**
+   * Authentication Configuration
+   * Bearer token (JWT) validation for /api routes
+   */
+  auth: {
+    enabled: true,
+    algorithm: 'RS256',              // RS256 (JWKS file) or HS256 (shared secret)
+    jwksPath: '/app/config/jwks.json',
+    secretName: null,                // Secrets Manager secret holding the HS256 key
+    secretField: 'jwtSecret',        // Field of that secret containing the key
+    issuer: null,
+    audience: null,
+    clockToleranceSec: 30,           // Allowed clock skew for exp/nbf
+    claims: {
+      userId: 'user_id',
+      customerId: 'customer_id',
+      role: 'role'
     }
   },
 
@@ -79,15 +102,15 @@ module.exports = {
    * Winston logger settings for ECS/CloudWatch deployment
    */
   logging: {
-    level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+    level: 'debug',                  // 'info' in environments/production.json
     maxFiles: 5,                     // Log rotation files (unused in containers)
     maxSize: '20m',                  // Maximum log file size (unused in containers)
-    colorize: process.env.NODE_ENV !== 'production',
+    colorize: true,
     timestamp: true,
     format: 'json',                  // Structured logging for CloudWatch
     console: {
       enabled: true,                 // Always enabled for container stdout
-      level: process.env.NODE_ENV === 'production' ? 'info' : 'debug'  // Changed from 'warn' to 'info'
+      level: 'debug'                 // 'info' in production (changed from 'warn')
     },
     file: {
       enabled: false,                // DISABLED for container environments - use CloudWatch instead
@@ -115,6 +138,81 @@ module.exports = {
     enableEtag: true,                // HTTP ETag caching
     enableLastModified: true,        // Last-Modified headers
     staticMaxAge: 86400000,          // Static file cache (24 hours)
-    jsonSpaces: process.env.NODE_ENV === 'production' ? 0 : 2
+    exportChunkSize: 1000,           // Rows fetched per query when streaming exports
+    jsonSpaces: 2                    // 0 in production
+  },
+
+  /**
+   * Pagination Configuration
+   * Page sizes for list endpoints (page/perPage and cursor paging)
+   */
+  pagination: {
+    defaultPerPage: 50,              // Records per page when perPage is omitted
+    maxPerPage: 200                  // Largest accepted perPage
+  },
+
+  /**
+   * Idempotency Configuration
+   * Idempotency-Key handling for POST routes (responses stored per key and caller)
+   */
+  idempotency: {
+    enabled: true,
+    header: 'Idempotency-Key',
+    maxKeyLength: 255,
+    retentionMs: 86400000,           // Stored responses replayed for 24 hours
+    lockTimeoutMs: 60000,            // In-flight keys abandoned after this are taken over
+    waitTimeoutMs: 5000,             // Concurrent duplicates wait this long before 409
+    pollIntervalMs: 200,
+    sweepIntervalMs: 3600000         // Expired records deleted at most hourly
+  },
+
+  /**
+   * Response Cache Configuration
+   * Read-through cache for field variant endpoints, invalidated by repository writes
+   */
+  responseCache: {
+    enabled: true,
+    maxEntries: 5000,                // In-memory LRU capacity
+    ttlMs: 60000,                    // Upper bound on staleness (e.g. assignments reaching effectiveDate)
+    settleMs: 25000,                 // Written tags not recached for this long (uncommitted transactions)
+    tagFields: ['customerId', 'accountId', 'userId']  // Row fields turned into invalidation tags
+  },
+
+  /**
+   * Rate Limiting Configuration
+   * Limits per route group, counted per user or customer (client IP when anonymous).
+   * Routes default to reads (GET) or writes; route policies name other groups.
+   * ip limits every /api request per client IP before authentication
+   */
+  rateLimit: {
+    enabled: true,
+    sweepIntervalMs: 600000,         // Expired counters deleted at most every 10 minutes
+    policies: {
+      ip: { windowMs: 900000, limit: 3000, keyBy: 'ip' },           // 3000 per 15 minutes, including failed logins
+      reads: { windowMs: 900000, limit: 1000, keyBy: 'user' },      // 1000 per 15 minutes
+      writes: { windowMs: 900000, limit: 300, keyBy: 'user' },      // 300 per 15 minutes
+      exports: { windowMs: 3600000, limit: 30, keyBy: 'customer' }  // 30 per hour, shared by a customer's users
+    }
   }
-};
\ No newline at end of file
+};
+
+// Environment variables predating the generic TECH__ names, kept as aliases
+const ENV_ALIASES = {
+  'server.defaultPort': 'PORT',
+  'server.cors.allowedOrigins': 'ALLOWED_ORIGINS',
+  'auth.enabled': 'AUTH_ENABLED',
+  'auth.algorithm': 'JWT_ALGORITHM',
+  'auth.jwksPath': 'JWT_JWKS_PATH',
+  'auth.secretName': 'JWT_SECRET_NAME',
+  'auth.issuer': 'JWT_ISSUER',
+  'auth.audience': 'JWT_AUDIENCE',
+  'auth.claims.userId': 'JWT_CLAIM_USER_ID',
+  'auth.claims.customerId': 'JWT_CLAIM_CUSTOMER_ID',
+  'auth.claims.role': 'JWT_CLAIM_ROLE',
+  'aws.region': 'AWS_REGION',
+  'idempotency.enabled': 'IDEMPOTENCY_ENABLED',
+  'responseCache.enabled': 'RESPONSE_CACHE_ENABLED',
+  'rateLimit.enabled': 'RATE_LIMIT_ENABLED'
+};
+
+module.exports = loadConfig('technical', DEFAULTS, technicalSchema, { envAliases: ENV_ALIASES });
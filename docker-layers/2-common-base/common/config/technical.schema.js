@@ -0,0 +1,161 @@
+/**
+ * Technical Configuration Schema
+ * File: /common/config/technical.schema.js
+ * Version: 1.0.0
+ *
+ * Purpose: Joi schema the merged technical configuration is validated against
+ *          at startup (see config-loader.js). Unknown settings are rejected so
+ *          misspelled keys in environment files fail instead of being ignored
+ */
+
+const Joi = require('joi');
+
+const positiveInt = Joi.number().integer().min(1);
+const durationMs = Joi.number().integer().min(0);
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+const rateLimitPolicy = Joi.object({
+  windowMs: positiveInt.required(),
+  limit: positiveInt.required(),
+  keyBy: Joi.string().valid('user', 'customer', 'ip').required()
+});
+
+module.exports = Joi.object({
+  database: Joi.object({
+    defaultPort: Joi.number().port().required(),
+    connectionTimeoutMs: durationMs.required(),
+    queryTimeoutMs: durationMs.required(),
+    bulkTransactionTimeoutMs: durationMs.required(),
+    pool: Joi.object({
+      min: Joi.number().integer().min(0).required(),
+      max: positiveInt.min(Joi.ref('min')).required(),
+      acquireTimeoutMs: durationMs.required(),
+      createTimeoutMs: durationMs.required(),
+      destroyTimeoutMs: durationMs.required(),
+      idleTimeoutMs: durationMs.required(),
+      reapIntervalMs: durationMs.required(),
+      createRetryIntervalMs: durationMs.required()
+    }).required(),
+    ssl: Joi.object({
+      enabled: Joi.boolean().required(),
+      rejectUnauthorized: Joi.boolean().required()
+    }).required()
+  }).required(),
+
+  server: Joi.object({
+    defaultPort: Joi.number().port().required(),
+    requestTimeoutMs: positiveInt.required(),
+    bodyLimit: Joi.string().pattern(/^\d+(b|kb|mb|gb)$/i).required(),
+    compression: Joi.boolean().required(),
+    cors: Joi.object({
+      enabled: Joi.boolean().required(),
+      allowedOrigins: Joi.array().items(Joi.string().uri()).min(1).allow(null).required(),
+      maxAge: durationMs.required()
+    }).required()
+  }).required(),
+
+  auth: Joi.object({
+    enabled: Joi.boolean().required(),
+    algorithm: Joi.string().valid('RS256', 'HS256').required(),
+    jwksPath: Joi.string().required(),
+    secretName: Joi.alternatives().conditional('algorithm', {
+      is: 'HS256',
+      then: Joi.string().required().messages({ 'string.base': '{{#label}} is required for HS256' }),
+      otherwise: Joi.string().allow(null)
+    }).required(),
+    secretField: Joi.string().required(),
+    issuer: Joi.string().allow(null).required(),
+    audience: Joi.string().allow(null).required(),
+    clockToleranceSec: Joi.number().integer().min(0).required(),
+    claims: Joi.object({
+      userId: Joi.string().required(),
+      customerId: Joi.string().required(),
+      role: Joi.string().required()
+    }).required()
+  }).required(),
+
+  aws: Joi.object({
+    region: Joi.string().pattern(/^[a-z]{2}(-[a-z]+)+-\d$/).required(),
+    secretsManager: Joi.object({
+      cacheTtlMs: durationMs.required(),
+      retryAttempts: Joi.number().integer().min(0).required(),
+      retryDelayMs: durationMs.required()
+    }).required(),
+    sdk: Joi.object({
+      maxRetries: Joi.number().integer().min(0).required(),
+      timeout: positiveInt.required(),
+      httpOptions: Joi.object({
+        connectTimeout: positiveInt.required(),
+        timeout: positiveInt.required()
+      }).required()
+    }).required()
+  }).required(),
+
+  logging: Joi.object({
+    level: Joi.string().valid(...LOG_LEVELS).required(),
+    maxFiles: positiveInt.required(),
+    maxSize: Joi.string().required(),
+    colorize: Joi.boolean().required(),
+    timestamp: Joi.boolean().required(),
+    format: Joi.string().required(),
+    console: Joi.object({
+      enabled: Joi.boolean().required(),
+      level: Joi.string().valid(...LOG_LEVELS).required()
+    }).required(),
+    file: Joi.object({
+      enabled: Joi.boolean().required(),
+      errorFile: Joi.string().required(),
+      combinedFile: Joi.string().required()
+    }).required()
+  }).required(),
+
+  healthCheck: Joi.object({
+    intervalMs: positiveInt.required(),
+    timeoutMs: positiveInt.required(),
+    retries: Joi.number().integer().min(0).required(),
+    gracefulShutdownMs: positiveInt.required()
+  }).required(),
+
+  performance: Joi.object({
+    enableEtag: Joi.boolean().required(),
+    enableLastModified: Joi.boolean().required(),
+    staticMaxAge: durationMs.required(),
+    exportChunkSize: positiveInt.required(),
+    jsonSpaces: Joi.number().integer().min(0).max(10).required()
+  }).required(),
+
+  pagination: Joi.object({
+    defaultPerPage: positiveInt.max(Joi.ref('maxPerPage')).required(),
+    maxPerPage: positiveInt.required()
+  }).required(),
+
+  idempotency: Joi.object({
+    enabled: Joi.boolean().required(),
+    header: Joi.string().required(),
+    maxKeyLength: positiveInt.max(255).required(),  // idempotency_key column width
+    retentionMs: positiveInt.required(),
+    lockTimeoutMs: positiveInt.required(),
+    waitTimeoutMs: durationMs.required(),
+    pollIntervalMs: positiveInt.required(),
+    sweepIntervalMs: durationMs.required()
+  }).required(),
+
+  responseCache: Joi.object({
+    enabled: Joi.boolean().required(),
+    maxEntries: positiveInt.required(),
+    ttlMs: positiveInt.required(),
+    settleMs: durationMs.required(),
+    tagFields: Joi.array().items(Joi.string()).min(1).required()
+  }).required(),
+
+  rateLimit: Joi.object({
+    enabled: Joi.boolean().required(),
+    sweepIntervalMs: durationMs.required(),
+    policies: Joi.object({
+      ip: rateLimitPolicy.required(),
+      reads: rateLimitPolicy.required(),
+      writes: rateLimitPolicy.required(),
+      exports: rateLimitPolicy.required()
+    }).pattern(Joi.string(), rateLimitPolicy).required()
+  }).required()
+});
@@ -0,0 +1,279 @@
+/**
+ * Express Authentication Middleware
+ * File: /common/middleware/auth.middleware.js
+ * Version: 1.0.0
+ *
+ * Purpose: Bearer token (JWT) authentication for all /api routes.
+ *          RS256 tokens are verified against a locally configured JWKS file,
+ *          HS256 tokens against a shared secret from Secrets Manager.
+ *          Verified claims are exposed as req.user = { id, customerId, role, subject },
+ *          and the user ID becomes the actor of the request context.
+ *          Routes classes opt individual routes out through getPublicRoutes()
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const AppError = require('../services/app-error');
+const techConfig = require('../config/technical.config');
+const { getSecret } = require('../services/secrets.service');
+const { setActor } = require('../services/request-context.service');
+const { getLogger, debugSafe } = require('../services/logger.service');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'HS256'];
+
+class AuthMiddleware {
+  constructor() {
+    this.logger = getLogger('auth-middleware');
+    this.publicKeys = null;
+  }
+
+  /**
+   * Create authentication middleware for a service router
+   * @param {Array<Object>} publicRoutes - Routes served without a token as { method, path }
+   *                                       (paths relative to the router, Express :param syntax)
+   * @returns {Function} Express middleware
+   */
+  createAuthenticator(publicRoutes = []) {
+    const authConfig = techConfig.auth;
+
+    if (!SUPPORTED_ALGORITHMS.includes(authConfig.algorithm)) {
+      throw new Error(`Unsupported JWT algorithm '${authConfig.algorithm}', expected ${SUPPORTED_ALGORITHMS.join(' or ')}`);
+    }
+
+    if (!authConfig.enabled) {
+      this.logger.warn('Authentication disabled, all routes are public');
+      return (req, res, next) => next();
+    }
+
+    const publicMatchers = publicRoutes.map(route => this._compileRoute(route));
+
+    return async (req, res, next) => {
+      const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+
+      if (publicMatchers.some(matches => matches(req))) {
+        return next();
+      }
+
+      try {
+        const token = this._extractBearerToken(req);
+        const header = this._decodeHeader(token);
+        const key = await this._getVerificationKey(header, requestId);
+
+        req.user = this._buildUser(this._verify(token, key));
+        setActor(req.user.id);
+
+        debugSafe('Request authenticated', {
+        userId: req.user.id,
+        customerId: req.user.customerId,
+        role: req.user.role,
+        requestId
+        }, 'auth-middleware');
+
+        next();
+
+      } catch (error) {
+        if (error instanceof AppError && error.statusCode === 401) {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+        }
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Drop cached JWKS keys so the next request rereads the file (key rotation)
+   */
+  clearKeyCache() {
+    this.publicKeys = null;
+    this.logger.info('JWKS key cache cleared');
+  }
+
+  /**
+   * Build matcher for a public route declaration
+   * @private
+   * @param {Object} route - { method, path }
+   * @returns {Function} (req) => boolean
+   */
+  _compileRoute({ method, path }) {
+    const pattern = path
+      .split('/')
+      .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('/');
+    const regex = new RegExp(`^${pattern}/?$`);
+    const methods = method === 'GET' ? ['GET', 'HEAD'] : [method];
+
+    return (req) => methods.includes(req.method) && regex.test(req.path);
+  }
+
+  /**
+   * Read token from Authorization header
+   * @private
+   */
+  _extractBearerToken(req) {
+    const authorization = req.headers.authorization;
+
+    if (!authorization) {
+      throw AppError.unauthorized('Authorization header is required');
+    }
+
+    const [scheme, token] = authorization.split(' ');
+    if (!/^Bearer$/i.test(scheme) || !token) {
+      throw AppError.unauthorized('Authorization header must use the Bearer scheme');
+    }
+
+    return token;
+  }
+
+  /**
+   * Decode token header without verifying it (key lookup needs kid and alg)
+   * @private
+   */
+  _decodeHeader(token) {
+    const decoded = jwt.decode(token, { complete: true });
+
+    if (!decoded || !decoded.header) {
+      throw AppError.unauthorized('Malformed token');
+    }
+
+    if (decoded.header.alg !== techConfig.auth.algorithm) {
+      throw AppError.unauthorized(`Token must be signed with ${techConfig.auth.algorithm}`);
+    }
+
+    return decoded.header;
+  }
+
+  /**
+   * Resolve key to verify the token signature with
+   * @private
+   */
+  async _getVerificationKey(header, requestId) {
+    const authConfig = techConfig.auth;
+
+    if (authConfig.algorithm === 'HS256') {
+      if (!authConfig.secretName) {
+        throw new Error('JWT_SECRET_NAME must be configured for HS256 tokens');
+      }
+      const secret = await getSecret(authConfig.secretName, false, requestId);
+
+      // Server misconfiguration, not a client error: reported as 500
+      if (!secret[authConfig.secretField]) {
+        this.logger.error('JWT secret is missing its key field', {
+          secretName: authConfig.secretName,
+          secretField: authConfig.secretField,
+          requestId
+        });
+        throw new Error(`Secret '${authConfig.secretName}' has no '${authConfig.secretField}' field`);
+      }
+      return secret[authConfig.secretField];
+    }
+
+    const keys = await this._loadPublicKeys();
+    const key = header.kid ? keys.get(header.kid) : (keys.size === 1 ? [...keys.values()][0] : null);
+
+    if (!key) {
+      throw AppError.unauthorized('Token signing key is not recognized');
+    }
+
+    return key;
+  }
+
+  /**
+   * Load RSA signing keys from the JWKS file once, keyed by kid
+   * @private
+   * @returns {Promise<Map<string, KeyObject>>} Public keys
+   */
+  async _loadPublicKeys() {
+    if (this.publicKeys) {
+      return this.publicKeys;
+    }
+
+    const jwksPath = techConfig.auth.jwksPath;
+
+    try {
+      const jwks = JSON.parse(await fs.readFile(jwksPath, 'utf8'));
+      const keys = new Map();
+
+      (jwks.keys || [])
+        .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+        .forEach((jwk, index) => {
+          keys.set(jwk.kid || `key-${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        });
+
+      if (keys.size === 0) {
+        throw new Error('JWKS file contains no RSA signing keys');
+      }
+
+      this.logger.info('JWKS signing keys loaded', {
+        jwksPath,
+        keyCount: keys.size
+      });
+
+      this.publicKeys = keys;
+      return keys;
+
+    } catch (error) {
+      this.logger.error('Failed to load JWKS signing keys', {
+        jwksPath,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify signature and registered claims
+   * @private
+   */
+  _verify(token, key) {
+    const authConfig = techConfig.auth;
+
+    try {
+      return jwt.verify(token, key, {
+        algorithms: [authConfig.algorithm],
+        issuer: authConfig.issuer || undefined,
+        audience: authConfig.audience || undefined,
+        clockTolerance: authConfig.clockToleranceSec
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw AppError.unauthorized('Token has expired');
+      }
+      if (error.name === 'NotBeforeError') {
+        throw AppError.unauthorized('Token is not active yet');
+      }
+      throw AppError.unauthorized(`Invalid token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map verified claims onto req.user
+   * @private
+   */
+  _buildUser(payload) {
+    const claims = techConfig.auth.claims;
+    const id = parseInt(payload[claims.userId]);
+    const customerId = payload[claims.customerId] !== undefined ? parseInt(payload[claims.customerId]) : null;
+    const role = payload[claims.role];
+
+    if (isNaN(id) || !role || Number.isNaN(customerId)) {
+      throw AppError.unauthorized(`Token must carry ${claims.userId}, ${claims.role} and numeric ${claims.customerId} claims`);
+    }
+
+    return {
+      id,
+      customerId,
+      role,
+      subject: payload.sub || null
+    };
+  }
+}
+
+// Export singleton instance
+const authMiddleware = new AuthMiddleware();
+
+module.exports = {
+  createAuthenticator: (publicRoutes) => authMiddleware.createAuthenticator(publicRoutes),
+  clearKeyCache: () => authMiddleware.clearKeyCache()
+};
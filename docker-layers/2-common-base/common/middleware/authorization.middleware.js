@@ -0,0 +1,148 @@
+/**
+ * Express Authorization Middleware
+ * File: /common/middleware/authorization.middleware.js
+ * Version: 1.0.0
+ *
+ * Purpose: Declarative role and tenant checks per route.
+ *          The authenticated user (req.user from auth.middleware) is loaded
+ *          from the User table; User.userRoleId selects the role permissions
+ *          and User.customerId the tenant. Customer users (isCustomer=true)
+ *          only reach resources of their own customer, internal staff see
+ *          across tenants. The loaded principal is exposed as req.principal
+ *          and the tenant restriction for list routes as req.tenantScope
+ */
+
+const AppError = require('../services/app-error');
+const businessConfig = require('../config/business.config');
+const techConfig = require('../config/technical.config');
+const { getClient } = require('../services/database.service');
+const { getLogger, debugSafe } = require('../services/logger.service');
+
+class AuthorizationMiddleware {
+  constructor() {
+    this.logger = getLogger('authorization-middleware');
+  }
+
+  /**
+   * Create authorization middleware for one route
+   * @param {Object} policy - Route policy
+   * @param {string} policy.action - Attempted action (read, create, update, delete, export, import)
+   * @param {string} policy.resource - Resource type (customer, account, user)
+   * @param {Function} policy.tenant - async (req, client) => customerId owning the target,
+   *                                   null when it cannot be resolved (handler reports 404/422)
+   * @param {boolean} policy.staffOnly - Restrict route to internal staff (isCustomer=false)
+   * @returns {Function} Express middleware
+   */
+  authorize({ action, resource, tenant = null, staffOnly = false }) {
+    if (!action || !resource) {
+      throw new Error('Authorization policy requires action and resource');
+    }
+
+    const permission = `${resource}:${action}`;
+
+    return async (req, res, next) => {
+      const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+
+      // Nothing to authorize against when authentication is switched off (local development)
+      if (!techConfig.auth.enabled) {
+        return next();
+      }
+
+      try {
+        if (!req.user) {
+          throw AppError.unauthorized();
+        }
+
+        const client = await getClient(requestId);
+        const principal = req.principal || await this._loadPrincipal(req.user.id, client);
+        req.principal = principal;
+
+        if (!this._hasPermission(principal.userRoleId, permission)) {
+          throw AppError.forbidden(action, resource);
+        }
+
+        if (principal.isCustomer) {
+          if (staffOnly) {
+            throw AppError.forbidden(action, `${resource} (internal staff only)`);
+          }
+
+          if (tenant) {
+            const targetCustomerId = await tenant(req, client);
+
+            if (targetCustomerId !== null && targetCustomerId !== principal.customerId) {
+              throw AppError.forbidden(action, `${resource} of customer ${targetCustomerId}`);
+            }
+          }
+        }
+
+        req.tenantScope = principal.isCustomer ? principal.customerId : null;
+
+        debugSafe('Request authorized', {
+        userId: principal.userId,
+        permission,
+        tenantScope: req.tenantScope,
+        requestId
+        }, 'authorization-middleware');
+
+        next();
+
+      } catch (error) {
+        if (error instanceof AppError && error.statusCode === 403) {
+          this.logger.warn('Authorization denied', {
+            userId: req.user?.id,
+            permission,
+            method: req.method,
+            url: req.originalUrl,
+            requestId
+          });
+        }
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Load role and tenant of the authenticated user
+   * @private
+   */
+  async _loadPrincipal(userId, client) {
+    const user = await client.user.findUnique({
+      where: { userId },
+      select: {
+        userId: true,
+        customerId: true,
+        userRoleId: true,
+        isCustomer: true,
+        status: true
+      }
+    });
+
+    if (!user || user.status === businessConfig.softDelete.deletedStatus) {
+      throw AppError.unauthorized('User is not registered or has been deactivated');
+    }
+
+    return user;
+  }
+
+  /**
+   * Check permission against the role table; 'resource:*' grants every action
+   * @private
+   */
+  _hasPermission(userRoleId, permission) {
+    const role = businessConfig.authorization.roles[userRoleId];
+
+    if (!role) {
+      return false;
+    }
+
+    const [resource] = permission.split(':');
+    return role.permissions.includes(permission) || role.permissions.includes(`${resource}:*`);
+  }
+}
+
+// Export singleton instance
+const authorizationMiddleware = new AuthorizationMiddleware();
+
+module.exports = {
+  authorize: (policy) => authorizationMiddleware.authorize(policy)
+};
@@ -182,19 +182,22 @@ class ErrorHandlerMiddleware {
    * @returns {AppError} Converted AppError
    */
   _handleValidationError(error, requestId) {
-    let field = 'unknown';
-    let constraint = error.message;
-
-    // Extract field from common validation libraries
-    if (error.details && error.details[0]) {
-      field = error.details[0].path?.join('.') || field;
-      constraint = error.details[0].message || constraint;
-    } else if (error.errors && Array.isArray(error.errors)) {
-      field = error.errors[0]?.field || error.errors[0]?.param || field;
-      constraint = error.errors[0]?.message || constraint;
+    // Report every violation from common validation libraries (Joi details, express-validator errors)
+    if (Array.isArray(error.details) && error.details.length > 0) {
+      return AppError.validationErrors(error.details.map(detail => ({
+        field: detail.path?.join('.') || 'unknown',
+        message: detail.message || error.message
+      })));
     }
 
-    return AppError.validationError(field, 'invalid', constraint);
+    if (Array.isArray(error.errors) && error.errors.length > 0) {
+      return AppError.validationErrors(error.errors.map(entry => ({
+        field: entry?.field || entry?.param || entry?.path || 'unknown',
+        message: entry?.message || entry?.msg || error.message
+      })));
+    }
+
+    return AppError.validationError('unknown', 'invalid', error.message);
   }
 
   /**
@@ -0,0 +1,217 @@
+/**
+ * Express Idempotency Middleware
+ * File: /common/middleware/idempotency.middleware.js
+ * Version: 1.0.0
+ *
+ * Purpose: Idempotency-Key support for POST routes, so retried requests do not
+ *          repeat their side effects. The first response per key and caller is
+ *          stored and replayed (with Idempotent-Replayed: true) for later requests
+ *          with the same key. A duplicate arriving while the first request is
+ *          still running waits for its response, then gets 409. Reusing a key
+ *          for a different request (method, URL or body) is rejected with 422.
+ *          Server errors (5xx), timeouts and rate limited responses are not stored,
+ *          so they can be retried.
+ *          Requests without the header are not affected
+ */
+
+const crypto = require('crypto');
+
+const AppError = require('../services/app-error');
+const techConfig = require('../config/technical.config');
+const { RECORD_STATUS } = require('../services/idempotency-store.service');
+const { getLogger, debugSafe } = require('../services/logger.service');
+
+// Response headers replayed together with status and body
+const REPLAYED_HEADERS = ['content-type', 'location', 'etag', 'last-modified'];
+
+// Visible ASCII only, as the key is echoed in logs and errors
+const KEY_PATTERN = /^[\x21-\x7e]+$/;
+
+class IdempotencyMiddleware {
+  constructor() {
+    this.logger = getLogger('idempotency-middleware');
+    this.rules = techConfig.idempotency;
+  }
+
+  /**
+   * Create idempotency middleware (mounted after authentication so keys are scoped per caller)
+   * @param {Object} store - Idempotency store (see idempotency-store.service.js)
+   * @returns {Function} Express middleware
+   */
+  createIdempotencyHandler(store) {
+    if (!this.rules.enabled) {
+      this.logger.warn('Idempotency keys disabled, the header is ignored');
+      return (req, res, next) => next();
+    }
+
+    if (!store) {
+      throw new Error('Idempotency store is required');
+    }
+
+    return async (req, res, next) => {
+      const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+      const key = req.get(this.rules.header);
+
+      if (req.method !== 'POST' || key === undefined) {
+        return next();
+      }
+
+      try {
+        this._validateKey(key);
+
+        const scope = this._callerScope(req);
+        const fingerprint = this._fingerprint(req);
+        const record = await this._claimOrWait(store, { scope, key, fingerprint }, requestId);
+
+        if (!record) {
+          this._captureResponse(store, res, scope, key, requestId);
+          return next();
+        }
+
+        debugSafe('Replaying stored response', {
+          scope,
+          statusCode: record.response.statusCode,
+          requestId
+        }, 'idempotency-middleware');
+
+        res.status(record.response.statusCode);
+        res.set(record.response.headers);
+        res.set('Idempotent-Replayed', 'true');
+        res.send(record.response.body ?? undefined);
+
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Claim the key, or wait for the request holding it to complete
+   * @private
+   * @returns {Promise<Object|null>} null when claimed, otherwise the completed record
+   * @throws {AppError} 422 when the key belongs to a different request, 409 when still in progress
+   */
+  async _claimOrWait(store, { scope, key, fingerprint }, requestId) {
+    const deadline = Date.now() + this.rules.waitTimeoutMs;
+
+    for (;;) {
+      const now = Date.now();
+      const { claimed, record } = await store.claim({
+        scope,
+        key,
+        fingerprint,
+        lockedUntil: new Date(now + this.rules.lockTimeoutMs),
+        expiresAt: new Date(now + this.rules.retentionMs)
+      });
+
+      if (claimed) {
+        return null;
+      }
+
+      if (record.fingerprint !== fingerprint) {
+        throw AppError.validationError(this.rules.header, key, 'Key was already used for a different request');
+      }
+
+      if (record.status === RECORD_STATUS.completed) {
+        return record;
+      }
+
+      if (now >= deadline) {
+        this.logger.warn('Idempotent request still in progress', { scope, requestId });
+        throw AppError.conflict(this.rules.header, `'${key}' is still being processed by an earlier request`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.rules.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Store the response once sent; failed, timed out and rate limited requests release the key instead
+   * @private
+   */
+  _captureResponse(store, res, scope, key, requestId) {
+    const send = res.send;
+    let body;
+
+    // res.json and res.send(object) end up here with the serialized string
+    res.send = function sendAndCapture(chunk) {
+      body = chunk;
+      return send.apply(this, arguments);
+    };
+
+    res.on('finish', () => {
+      const retryable = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+
+      const settle = retryable
+        ? store.release(scope, key)
+        : store.complete(scope, key, {
+          statusCode: res.statusCode,
+          headers: this._replayedHeaders(res),
+          body: Buffer.isBuffer(body) ? body.toString('utf8') : (body ?? null)
+        });
+
+      settle.catch(error => {
+        this.logger.error('Failed to settle idempotency key', {
+          scope,
+          statusCode: res.statusCode,
+          requestId,
+          errorMessage: error.message
+        });
+      });
+    });
+  }
+
+  /**
+   * Check key format
+   * @private
+   */
+  _validateKey(key) {
+    if (key.length === 0 || key.length > this.rules.maxKeyLength || !KEY_PATTERN.test(key)) {
+      throw AppError.validationError(
+        this.rules.header,
+        key,
+        `Must be 1-${this.rules.maxKeyLength} visible ASCII characters`
+      );
+    }
+  }
+
+  /**
+   * Keys are scoped per authenticated caller (per client IP on public routes)
+   * @private
+   */
+  _callerScope(req) {
+    return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  }
+
+  /**
+   * Hash of what makes two requests the same: method, URL with query, body
+   * @private
+   */
+  _fingerprint(req) {
+    return crypto
+      .createHash('sha256')
+      .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body ?? null)}`)
+      .digest('hex');
+  }
+
+  /**
+   * Response headers kept for replays
+   * @private
+   */
+  _replayedHeaders(res) {
+    return REPLAYED_HEADERS.reduce((headers, name) => {
+      const value = res.getHeader(name);
+      if (value !== undefined) {
+        headers[name] = String(value);
+      }
+      return headers;
+    }, {});
+  }
+}
+
+// Export singleton instance
+const idempotencyMiddleware = new IdempotencyMiddleware();
+
+module.exports = {
+  createIdempotencyHandler: (store) => idempotencyMiddleware.createIdempotencyHandler(store)
+};
@@ -0,0 +1,172 @@
+/**
+ * Express Rate Limit Middleware
+ * File: /common/middleware/rate-limit.middleware.js
+ * Version: 1.0.0
+ *
+ * Purpose: Request limits per route group (reads, writes, exports), each with its
+ *          own window and limit from technical.config.js. Hits are counted per
+ *          authenticated user or per customer (policy keyBy), so callers sharing
+ *          an egress IP do not share a limit; anonymous requests on public routes
+ *          are counted per client IP. A coarse per-IP limit (limitRateByIp) runs
+ *          ahead of authentication, so rejected tokens and the API docs are
+ *          limited too. Counters live in a pluggable store shared by
+ *          all instances (see rate-limit-store.service.js). Requests over the
+ *          limit get 429 RATE_LIMITED with Retry-After; store failures let the
+ *          request through rather than failing it
+ */
+
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+
+const AppError = require('../services/app-error');
+const techConfig = require('../config/technical.config');
+const { createMemoryRateLimitStore } = require('../services/rate-limit-store.service');
+const { getLogger } = require('../services/logger.service');
+
+// Route group of routes whose policy does not name one
+const DEFAULT_GROUPS = {
+  read: 'reads',
+  write: 'writes'
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Group counting every API request per client IP, whether or not it authenticates
+const IP_GROUP = 'ip';
+
+class RateLimitMiddleware {
+  constructor() {
+    this.logger = getLogger('rate-limit-middleware');
+    this.rules = techConfig.rateLimit;
+    this.store = createMemoryRateLimitStore();
+
+    // One limiter per group, so all routes of a group count against the same limit
+    this.limiters = new Map(
+      Object.entries(this.rules.policies).map(([group, policy]) => [group, this._createLimiter(group, policy)])
+    );
+  }
+
+  /**
+   * Replace the counter store (shared by all instances)
+   * @param {Object} store - Store implementing increment/decrement/resetKey
+   */
+  setStore(store) {
+    if (!store || ['increment', 'decrement', 'resetKey'].some(method => typeof store[method] !== 'function')) {
+      throw new Error('Rate limit store must implement increment, decrement and resetKey');
+    }
+
+    this.store = store;
+  }
+
+  /**
+   * Route group a route is limited under
+   * @param {string} method - HTTP method
+   * @param {Object} policy - Route policy; policy.rateLimit names the group explicitly
+   * @returns {string} Group name (key of techConfig.rateLimit.policies)
+   */
+  groupOf(method, policy = {}) {
+    return policy.rateLimit ||
+      (READ_METHODS.includes(method.toUpperCase()) ? DEFAULT_GROUPS.read : DEFAULT_GROUPS.write);
+  }
+
+  /**
+   * Create rate limit middleware for one route
+   * @param {string} method - HTTP method
+   * @param {Object} policy - Route policy (see groupOf)
+   * @returns {Function} Express middleware
+   */
+  limitRate(method, policy = {}) {
+    const group = this.groupOf(method, policy);
+    const limiter = this.limiters.get(group);
+
+    if (!limiter) {
+      throw new Error(`No rate limit policy configured for group '${group}'`);
+    }
+
+    if (!this.rules.enabled) {
+      return (req, res, next) => next();
+    }
+
+    return limiter;
+  }
+
+  /**
+   * Create the per client IP rate limit middleware, mounted ahead of authentication
+   * @returns {Function} Express middleware
+   */
+  limitRateByIp() {
+    return this.limitRate('GET', { rateLimit: IP_GROUP });
+  }
+
+  /**
+   * Build the express-rate-limit instance of a group
+   * @private
+   */
+  _createLimiter(group, { windowMs, limit, keyBy }) {
+    return rateLimit({
+      windowMs,
+      limit,
+      standardHeaders: true,
+      legacyHeaders: false,
+      passOnStoreError: true,
+      keyGenerator: (req) => this._callerKey(req, keyBy),
+      store: this._groupStore(group, windowMs),
+      handler: (req, res, next) => {
+        const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+
+        this.logger.warn('Rate limit exceeded', {
+          group,
+          limit,
+          userId: req.user?.id,
+          customerId: req.user?.customerId,
+          url: req.originalUrl,
+          requestId: req.requestId
+        });
+
+        res.setHeader('Retry-After', String(retryAfter));
+        next(AppError.rateLimited(group, retryAfter));
+      }
+    });
+  }
+
+  /**
+   * Counter key of the caller: customer or user when authenticated, client IP otherwise.
+   * Customer keyed policies fall back to the user for staff without a customer
+   * @private
+   */
+  _callerKey(req, keyBy) {
+    if (keyBy === 'ip' || !req.user) {
+      return `ip:${ipKeyGenerator(req.ip)}`;
+    }
+
+    return keyBy === 'customer' && req.user.customerId
+      ? `customer:${req.user.customerId}`
+      : `user:${req.user.id}`;
+  }
+
+  /**
+   * express-rate-limit store view of one group: keys prefixed with the group,
+   * counted in the current store with the group's window
+   * @private
+   */
+  _groupStore(group, windowMs) {
+    const prefix = `${group}:`;
+
+    return {
+      prefix,
+      localKeys: false,
+      increment: (key) => this.store.increment(prefix + key, windowMs),
+      decrement: (key) => this.store.decrement(prefix + key),
+      resetKey: (key) => this.store.resetKey(prefix + key)
+    };
+  }
+}
+
+// Export singleton instance
+const rateLimitMiddleware = new RateLimitMiddleware();
+
+module.exports = {
+  limitRate: (method, policy) => rateLimitMiddleware.limitRate(method, policy),
+  limitRateByIp: () => rateLimitMiddleware.limitRateByIp(),
+  rateLimitGroupOf: (method, policy) => rateLimitMiddleware.groupOf(method, policy),
+  setRateLimitStore: (store) => rateLimitMiddleware.setStore(store)
+};
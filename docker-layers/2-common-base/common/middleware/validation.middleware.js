@@ -0,0 +1,112 @@
+/**
+ * Express Request Validation Middleware
+ * File: /common/middleware/validation.middleware.js
+ * Version: 1.0.0
+ *
+ * Purpose: Joi schema validation of route params, query string and body.
+ *          Every location is checked in full and all violations are reported
+ *          together in one 422 VALIDATION_ERROR. Fields a schema does not
+ *          declare are rejected; a location without a schema must be empty.
+ *          Converted values (numbers, trimmed strings) replace the raw input
+ */
+
+const Joi = require('joi');
+
+const AppError = require('../services/app-error');
+const { getLogger, debugSafe } = require('../services/logger.service');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const JOI_OPTIONS = {
+  abortEarly: false,           // Collect every violation, not just the first
+  allowUnknown: false,
+  convert: true,               // Query/params arrive as strings
+  errors: { wrap: { label: false } }
+};
+
+// Applied to locations a route does not declare
+const EMPTY_SCHEMAS = {
+  params: Joi.object({}),
+  query: Joi.object({}),
+  body: Joi.object({}).allow(null)
+};
+
+class ValidationMiddleware {
+  constructor() {
+    this.logger = getLogger('validation-middleware');
+  }
+
+  /**
+   * Create validation middleware for one route
+   * @param {Object} schemas - Joi schemas per request location
+   * @param {Joi.Schema} schemas.params - Route params schema
+   * @param {Joi.Schema} schemas.query - Query string schema
+   * @param {Joi.Schema} schemas.body - Request body schema
+   * @returns {Function} Express middleware
+   */
+  validate(schemas = {}) {
+    const compiled = Object.fromEntries(
+      LOCATIONS.map(location => [location, schemas[location] ? Joi.compile(schemas[location]) : EMPTY_SCHEMAS[location]])
+    );
+
+    return (req, res, next) => {
+      const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+      const errors = [];
+      const values = {};
+
+      LOCATIONS.forEach(location => {
+        const { value, error } = compiled[location].validate(req[location], JOI_OPTIONS);
+
+        if (error) {
+          errors.push(...error.details.map(detail => this._toError(location, detail)));
+        } else {
+          values[location] = value;
+        }
+      });
+
+      if (errors.length > 0) {
+        this.logger.warn('Request validation failed', {
+          method: req.method,
+          url: req.originalUrl,
+          errorCount: errors.length,
+          fields: errors.map(error => `${error.location}.${error.field}`),
+          requestId
+        });
+        return next(AppError.validationErrors(errors));
+      }
+
+      req.params = values.params;
+      // Express 5 exposes req.query as a getter, shadow it with the converted values
+      Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true, enumerable: true });
+      req.body = values.body;
+
+      debugSafe('Request validated', {
+        method: req.method,
+        url: req.originalUrl,
+        requestId
+      }, 'validation-middleware');
+
+      next();
+    };
+  }
+
+  /**
+   * Map Joi error detail onto the VALIDATION_ERROR errors entry
+   * @private
+   */
+  _toError(location, detail) {
+    return {
+      location,
+      field: detail.path.length > 0 ? detail.path.join('.') : location,
+      value: detail.context?.value,
+      message: detail.message
+    };
+  }
+}
+
+// Export singleton instance
+const validationMiddleware = new ValidationMiddleware();
+
+module.exports = {
+  validate: (schemas) => validationMiddleware.validate(schemas)
+};
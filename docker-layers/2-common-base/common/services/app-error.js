@@ -53,7 +53,9 @@ class AppError extends Error {
       403: 'FORBIDDEN',
       404: 'NOT_FOUND',
       409: 'CONFLICT',
+      412: 'PRECONDITION_FAILED',
       422: 'VALIDATION_ERROR',
+      428: 'PRECONDITION_REQUIRED',
       429: 'TOO_MANY_REQUESTS',
       500: 'INTERNAL_SERVER_ERROR',
       502: 'BAD_GATEWAY',
@@ -128,6 +130,22 @@ class AppError extends Error {
     );
   }
 
+  /**
+   * Create a validation error carrying several field failures
+   * @static
+   * @param {Array<Object>} errors - Failures as { field, constraint, ... } with optional location data
+   * @returns {AppError} Validation error instance
+   */
+  static validationErrors(errors) {
+    return new AppError(
+      `Validation failed with ${errors.length} error${errors.length === 1 ? '' : 's'}`,
+      422,
+      'VALIDATION_ERROR',
+      true,
+      { errors }
+    );
+  }
+
   /**
    * Create a not found error
    * @static
@@ -195,6 +213,56 @@ class AppError extends Error {
     );
   }
 
+  /**
+   * Create a precondition failed error (stale If-Match version)
+   * @static
+   * @param {string} resource - Resource being modified
+   * @param {string|number} identifier - Resource identifier
+   * @returns {AppError} Precondition failed error instance
+   */
+  static preconditionFailed(resource, identifier) {
+    return new AppError(
+      `Precondition failed: ${resource} '${identifier}' was modified by another request`,
+      412,
+      'PRECONDITION_FAILED',
+      true,
+      { resource, identifier }
+    );
+  }
+
+  /**
+   * Create a precondition required error (missing conditional header)
+   * @static
+   * @param {string} header - Required conditional header
+   * @returns {AppError} Precondition required error instance
+   */
+  static preconditionRequired(header = 'If-Match') {
+    return new AppError(
+      `Precondition required: ${header} header must be provided`,
+      428,
+      'PRECONDITION_REQUIRED',
+      true,
+      { header }
+    );
+  }
+
+  /**
+   * Create a rate limited error
+   * @static
+   * @param {string} policy - Rate limit policy (route group) that was exceeded
+   * @param {number} retryAfter - Seconds until the window resets
+   * @returns {AppError} Rate limited error instance
+   */
+  static rateLimited(policy, retryAfter) {
+    return new AppError(
+      `Too many requests: ${policy} limit exceeded, retry after ${retryAfter} seconds`,
+      429,
+      'RATE_LIMITED',
+      true,
+      { policy, retryAfter }
+    );
+  }
+
   /**
    * Create a database error
    * @static
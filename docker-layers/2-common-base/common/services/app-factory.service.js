@@ -13,25 +13,37 @@
  *   HSTS, frame options, and other OWASP security headers
  * - CORS Protection: Cross-origin resource sharing with configurable origins,
  *   methods, and headers for web/mobile client access
- * - Rate Limiting: DoS protection with sliding window algorithm, configurable
- *   request limits per IP address and time window
+ * - Rate Limiting: coarse per-IP limit ahead of authentication, then per route
+ *   group limits (reads, writes, exports) counted per user or customer, in a
+ *   store shared by all instances, 429 with Retry-After
+ * - Authentication: JWT bearer tokens (RS256 JWKS or HS256 secret) on /api,
+ *   populating req.user; routes listed by getPublicRoutes() skip the check
+ * - Idempotency Keys: POST requests carrying Idempotency-Key get their first
+ *   response stored per caller and replayed on retries
  * 
  * PERFORMANCE LAYER:
  * - Response Compression: Gzip/deflate compression for bandwidth optimization
- * - Request Body Parsing: JSON and URL-encoded parsing with size limits
+ * - Request Body Parsing: JSON, URL-encoded and CSV text parsing with size limits
  * - HTTP Caching: ETag generation for conditional requests and cache validation
+ * - Response Cache: in-memory LRU (or pluggable store) for read-heavy queries,
+ *   hit/miss statistics reported by the health check
  * - Request Timeouts: Automatic timeout handling to prevent hanging requests
  * 
  * MONITORING & OBSERVABILITY:
  * - Request Correlation: Auto-generated unique request IDs for distributed tracing
  * - Request/Response Headers: X-Request-ID for end-to-end request tracking
+ * - Request Context: request ID and caller carried to repositories and loggers
+ *   via AsyncLocalStorage (no parameter threading needed)
  * - Structured Logging: Integration with Winston logger service for all operations
  * - Health Check Endpoints: Standard /health endpoint for load balancer monitoring
+ * - Configuration View: GET /admin/config shows the loaded configuration (secrets
+ *   redacted) and which layer set each value, for internal staff
  * 
  * ENTERPRISE RELIABILITY:
  * - Graceful Shutdown: SIGINT/SIGTERM signal handling with connection draining
  * - Error Handling: Integration with global error handler middleware
- * - Configuration Management: Environment-aware settings from technical config
+ * - Configuration Management: Layered settings (defaults, environment file, env
+ *   variables, secrets) validated at startup by the config loader
  * - Process Management: Automatic cleanup and resource management
  * 
  * DEVELOPER EXPERIENCE:
@@ -39,6 +51,8 @@
  * - Service Agnostic: Same factory works for any microservice (customer, billing, etc.)
  * - Consistent Architecture: All services get identical middleware stack
  * - Easy Integration: Simple 2-line usage pattern in service app.js files
+ * - API Documentation: OpenAPI 3 document at /api/openapi.json and Swagger UI
+ *   at /api/docs, generated from the routes class getRouteDefinitions()
  *
  * Usage Example:
  *   const app = await createApp('customer-service', CustomerRoutes);
@@ -49,12 +63,24 @@ const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 
 const errorHandler = require('../middleware/error-handler.middleware');
+const { createAuthenticator } = require('../middleware/auth.middleware');
+const { authorize } = require('../middleware/authorization.middleware');
+const { createIdempotencyHandler } = require('../middleware/idempotency.middleware');
+const { limitRate, limitRateByIp, setRateLimitStore } = require('../middleware/rate-limit.middleware');
+const { createDatabaseIdempotencyStore } = require('./idempotency-store.service');
+const { createDatabaseRateLimitStore } = require('./rate-limit-store.service');
+const { setCacheStore, getCacheStats } = require('./response-cache.service');
+const { buildDocument, createDocsRouter } = require('./openapi.service');
+const { createRequestContextMiddleware } = require('./request-context.service');
 const techConfig = require('../config/technical.config');
+const { getConfigView } = require('../config/config-loader');
 const { getLogger, ensureLogDirectories } = require('./logger.service');
 
+// Configuration view: staff with config:read only
+const CONFIG_VIEW_POLICY = { action: 'read', resource: 'config', staffOnly: true };
+
 class AppFactory {
   constructor() {
     this.logger = getLogger('app-factory');
@@ -65,6 +91,10 @@ class AppFactory {
    * @param {string} serviceName - Service name for logging and identification
    * @param {Class} RoutesClass - Service routes class
    * @param {Object} options - Additional service-specific options
+   * @param {string} options.version - API version published in the OpenAPI document
+   * @param {Object} options.idempotencyStore - Store for Idempotency-Key responses (defaults to the database store)
+   * @param {Object} options.cacheStore - Response cache store (defaults to the in-memory LRU)
+   * @param {Object} options.rateLimitStore - Rate limit counter store (defaults to the database store)
    * @returns {Promise<express.Application>} Configured Express app
    */
   async createApp(serviceName, RoutesClass, options = {}) {
@@ -79,25 +109,57 @@ class AppFactory {
       const app = express();
       const serviceLogger = getLogger(serviceName);
 
+      if (options.cacheStore) {
+        setCacheStore(options.cacheStore);
+      }
+      setRateLimitStore(options.rateLimitStore || createDatabaseRateLimitStore());
+
       // Apply middleware stack
       this._applySecurityMiddleware(app);
       this._applyPerformanceMiddleware(app);
       this._applyRequestMiddleware(app, serviceName);
 
-      // Initialize service routes
+      // Initialize service routes behind authentication
       const routes = new RoutesClass();
-      app.use('/api', routes.getRouter());
+      const publicRoutes = typeof routes.getPublicRoutes === 'function' ? routes.getPublicRoutes() : [];
+      const routeDefinitions = typeof routes.getRouteDefinitions === 'function' ? routes.getRouteDefinitions() : [];
+
+      // Coarse per-IP limit ahead of the authenticator, so the docs and rejected tokens count too
+      app.use('/api', limitRateByIp());
+
+      // API documentation is public and registered ahead of the authenticator
+      const apiDocument = buildDocument(serviceName, routeDefinitions, { version: options.version });
+      app.use('/api', createDocsRouter(apiDocument));
+
+      app.use(
+        '/api',
+        createAuthenticator(publicRoutes),
+        createIdempotencyHandler(options.idempotencyStore || createDatabaseIdempotencyStore()),
+        routes.getRouter()
+      );
 
       // Health check endpoint (standard across all services)
       app.get('/health', this._createHealthHandler(serviceName));
 
+      // Redacted configuration view
+      app.get(
+        '/admin/config',
+        limitRateByIp(),
+        createAuthenticator(),
+        limitRate('GET', CONFIG_VIEW_POLICY),
+        authorize(CONFIG_VIEW_POLICY),
+        this._createConfigHandler()
+      );
+
       // Global error handler (must be last)
       app.use(errorHandler);
 
       serviceLogger.info('Express application created', {
         serviceName,
-        middlewareStack: 'security+performance+routing+error-handling',
-        apiPrefix: '/api'
+        middlewareStack: 'security+performance+authentication+idempotency+rate-limiting+routing+error-handling',
+        apiPrefix: '/api',
+        apiDocs: '/api/docs',
+        publicRoutes: publicRoutes.map(route => `${route.method} ${route.path}`)
       });
 
       return app;
@@ -119,7 +181,7 @@ class AppFactory {
    * @returns {Promise<Object>} HTTP server instance
    */
   async startServer(app, serviceName, port = null) {
-    const serverPort = port || process.env.PORT || techConfig.server.defaultPort;
+    const serverPort = port || techConfig.server.defaultPort;
     const serviceLogger = getLogger(serviceName);
 
     return new Promise((resolve, reject) => {
@@ -165,8 +227,8 @@ class AppFactory {
     // CORS configuration
     app.use(cors(this._getCorsConfig()));
 
-    // Rate limiting
-    app.use(this._getRateLimitConfig());
+    // Rate limiting is applied per IP ahead of authentication (createApp) and per route
+    // (limitRate) once authentication identifies the caller
   }
 
   /**
@@ -179,16 +241,24 @@ class AppFactory {
     app.use(compression());
 
     // Body parsing with limits
-    app.use(express.json({ limit: techConfig.server.bodyLimit }));
+    app.use(express.json({
+      limit: techConfig.server.bodyLimit,
+      type: ['application/json', 'application/merge-patch+json']
+    }));
     app.use(express.urlencoded({ 
       extended: true, 
       limit: techConfig.server.bodyLimit 
     }));
+    app.use(express.text({
+      limit: techConfig.server.bodyLimit,
+      type: 'text/csv'
+    }));
 
-    // Performance headers
-    if (techConfig.performance.enableEtag) {
-      app.set('etag', 'strong');
-    }
+    // Nested query strings (filter[field][operator]=value) for list endpoints
+    app.set('query parser', 'extended');
+
+    // Performance headers (Express sends weak body-hash ETags unless switched off)
+    app.set('etag', techConfig.performance.enableEtag ? 'strong' : false);
   }
 
   /**
@@ -201,6 +271,9 @@ class AppFactory {
     // Request correlation ID
     app.use(this._createRequestIdMiddleware(serviceName));
 
+    // Request context (request ID, authenticated caller) for repositories and loggers
+    app.use(createRequestContextMiddleware());
+
     // Request timeout
     app.use(this._createTimeoutMiddleware());
   }
@@ -214,39 +287,21 @@ class AppFactory {
     const corsConfig = techConfig.server.cors;
     
     return {
-      origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
-      exposedHeaders: ['X-Request-ID'],
+      origin: corsConfig.allowedOrigins || '*',
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+      allowedHeaders: [
+        'Content-Type', 'Authorization', 'X-Request-ID', 'If-Match', 'If-None-Match', 'If-Modified-Since',
+        techConfig.idempotency.header
+      ],
+      exposedHeaders: [
+        'X-Request-ID', 'ETag', 'Last-Modified', 'WWW-Authenticate', 'Idempotent-Replayed',
+        'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'
+      ],
       maxAge: corsConfig.maxAge,
       credentials: true
     };
   }
 
-  /**
-   * Get rate limiting configuration
-   * @private
-   * @returns {Function} Rate limit middleware
-   */
-  _getRateLimitConfig() {
-    const rateConfig = techConfig.server.rateLimit;
-    
-    return rateLimit({
-      windowMs: rateConfig.windowMs,
-      max: rateConfig.max,
-      message: {
-        error: {
-          message: 'Too many requests, please try again later',
-          code: 'RATE_LIMITED',
-          statusCode: 429,
-          timestamp: new Date().toISOString()
-        }
-      },
-      standardHeaders: true,
-      legacyHeaders: false
-    });
-  }
-
   /**
    * Create request ID middleware
    * @private
@@ -304,7 +359,23 @@ class AppFactory {
         healthy: true,
         timestamp: new Date().toISOString(),
         requestId,
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        cache: getCacheStats()
+      });
+    };
+  }
+
+  /**
+   * Create configuration view handler
+   * @private
+   * @returns {Function} Handler returning the redacted configuration
+   */
+  _createConfigHandler() {
+    return (req, res) => {
+      res.json({
+        success: true,
+        data: getConfigView(),
+        requestId: req.requestId
       });
     };
   }
@@ -0,0 +1,231 @@
+/**
+ * Audit Trail Service
+ * File: /common/services/audit.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Append-only change history for audited entities.
+ *          GenericRepository and the soft delete service record a before/after
+ *          snapshot per changed row inside the same transaction as the change;
+ *          actor and request ID come from the request context. Entries are
+ *          tagged with the owning customer and account so histories can be
+ *          read per customer or account.
+ *          Entries are only ever inserted; there is no update or delete path
+ */
+
+const businessConfig = require('../config/business.config');
+const AppError = require('./app-error');
+const { getLogger, logDatabaseOperation, debugSafe } = require('./logger.service');
+const { getActorId, getRequestId } = require('./request-context.service');
+const { paginate } = require('./pagination.service');
+
+const AUDIT_ACTIONS = {
+  create: 'CREATE',
+  update: 'UPDATE',
+  delete: 'DELETE',
+  restore: 'RESTORE'
+};
+
+// Bookkeeping columns left out of changedFields
+const IGNORED_CHANGE_FIELDS = ['updatedAt', 'updatedBy'];
+
+class AuditService {
+  constructor() {
+    this.logger = getLogger('audit-service');
+    this.rules = businessConfig.audit;
+  }
+
+  /**
+   * Check whether writes to an entity are audited
+   * @param {string} entityName - Prisma model name (camelCase)
+   * @returns {boolean} True when audited
+   */
+  isAudited(entityName) {
+    return this.rules.entities.includes(entityName);
+  }
+
+  /**
+   * Record changes of one entity type
+   * @param {string} entityName - Prisma model name (camelCase)
+   * @param {Array<Object>} changes - Rows as { entityId, before, after } (before null on create, after null on hard delete)
+   * @param {PrismaClient} client - Prisma client or transaction of the change
+   * @returns {Promise<number>} Number of entries written
+   */
+  async record(entityName, changes, client) {
+    if (!this.isAudited(entityName) || changes.length === 0) {
+      return 0;
+    }
+
+    const actorId = getActorId();
+    const requestId = getRequestId();
+    const startTime = Date.now();
+
+    try {
+      const owners = await this._resolveCustomerOwners(entityName, changes, client);
+
+      const entries = changes.map(({ entityId, before, after }) => {
+        const snapshot = after || before;
+        const beforeJson = this._toJson(before);
+        const afterJson = this._toJson(after);
+
+        return {
+          entityName,
+          entityId,
+          action: this._resolveAction(before, after),
+          customerId: snapshot.customerId ?? owners.get(snapshot[this.rules.customerOwner[entityName]?.foreignKey]) ?? null,
+          accountId: snapshot.accountId ?? null,
+          before: beforeJson ?? undefined,
+          after: afterJson ?? undefined,
+          changedFields: this._changedFields(beforeJson, afterJson),
+          actorId,
+          requestId
+        };
+      });
+
+      await client.auditLog.createMany({ data: entries });
+
+      logDatabaseOperation('INSERT-AUDIT', entityName, Date.now() - startTime, requestId, 'audit-service');
+
+      debugSafe('Audit entries recorded', {
+        entityName,
+        entryCount: entries.length,
+        actorId,
+        requestId
+      }, 'audit-service');
+
+      return entries.length;
+
+    } catch (error) {
+      this.logger.error('Failed to record audit entries', {
+        entityName,
+        entryCount: changes.length,
+        requestId,
+        errorMessage: error.message
+      });
+      throw AppError.databaseError(`audit ${entityName}`, error);
+    }
+  }
+
+  /**
+   * Read change history, newest first
+   * @param {Object} scope - History owner, exactly one of customerId or accountId
+   * @param {number} scope.customerId - Changes to the customer and its accounts, users and assignments
+   * @param {number} scope.accountId - Changes to the account and its assignments
+   * @param {Object} options - Query options
+   * @param {string} options.cursor - Cursor from a previous page (replaces page, skips the count)
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.perPage - Entries per page
+   * @param {Object} options.where - Extra Prisma filter (e.g. account scoping)
+   * @param {PrismaClient} client - Prisma client
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} { data, totalCount (page mode only), nextCursor, prevCursor, hasNext, hasPrev }
+   */
+  async findHistory(scope, { cursor = null, page = 1, perPage = 50, where = {} } = {}, client, requestId = null) {
+    const scopeWhere = scope.accountId !== undefined
+      ? { accountId: scope.accountId }
+      : { customerId: scope.customerId };
+    const whereClause = { AND: [scopeWhere, where] };
+    const startTime = Date.now();
+
+    try {
+      const [result, totalCount] = await Promise.all([
+        paginate(client.auditLog, {
+          where: whereClause,
+          orderBy: [{ createdAt: 'desc' }, { auditLogId: 'desc' }],
+          cursor,
+          page,
+          perPage
+        }),
+        cursor ? undefined : client.auditLog.count({ where: whereClause })
+      ]);
+
+      logDatabaseOperation('SELECT-AUDIT', 'auditLog', Date.now() - startTime, requestId, 'audit-service');
+
+      return { ...result, totalCount };
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      this.logger.error('Failed to read audit history', {
+        scope,
+        requestId,
+        errorMessage: error.message
+      });
+      throw AppError.databaseError('read audit history', error);
+    }
+  }
+
+  /**
+   * Classify change; status flips to/from the deleted code are deletes/restores
+   * @private
+   */
+  _resolveAction(before, after) {
+    const { deletedStatus } = businessConfig.softDelete;
+
+    if (!before) {
+      return AUDIT_ACTIONS.create;
+    }
+    if (!after) {
+      return AUDIT_ACTIONS.delete;
+    }
+    if (before.status !== deletedStatus && after.status === deletedStatus) {
+      return AUDIT_ACTIONS.delete;
+    }
+    if (before.status === deletedStatus && after.status !== deletedStatus) {
+      return AUDIT_ACTIONS.restore;
+    }
+    return AUDIT_ACTIONS.update;
+  }
+
+  /**
+   * Look up owning customers for entities without a customerId column
+   * @private
+   * @returns {Promise<Map>} Foreign key value -> customerId
+   */
+  async _resolveCustomerOwners(entityName, changes, client) {
+    const owner = this.rules.customerOwner[entityName];
+
+    if (!owner) {
+      return new Map();
+    }
+
+    const keys = [...new Set(changes.map(({ before, after }) => (after || before)[owner.foreignKey]))];
+    const rows = await client[owner.entity].findMany({
+      where: { [owner.foreignKey]: { in: keys } },
+      select: { [owner.foreignKey]: true, customerId: true }
+    });
+
+    return new Map(rows.map(row => [row[owner.foreignKey], row.customerId]));
+  }
+
+  /**
+   * Plain JSON copy of a row (Dates as ISO strings)
+   * @private
+   */
+  _toJson(row) {
+    return row ? JSON.parse(JSON.stringify(row)) : null;
+  }
+
+  /**
+   * Fields whose value differs between the snapshots
+   * @private
+   */
+  _changedFields(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    return [...fields].filter(field =>
+      !IGNORED_CHANGE_FIELDS.includes(field) &&
+      JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null)
+    );
+  }
+}
+
+// Export singleton instance
+const auditService = new AuditService();
+
+module.exports = {
+  isAudited: (entityName) => auditService.isAudited(entityName),
+  record: (entityName, changes, client) => auditService.record(entityName, changes, client),
+  findHistory: (scope, options, client, requestId) => auditService.findHistory(scope, options, client, requestId)
+};
@@ -0,0 +1,255 @@
+/**
+ * CSV Service
+ * File: /common/services/csv.service.js
+ * Version: 1.1.0
+ *
+ * Purpose: RFC 4180 CSV parsing for bulk imports and streaming exports
+ *          Handles quoted fields, escaped quotes, embedded line breaks,
+ *          CRLF/LF line endings and a leading UTF-8 byte order mark.
+ *          Exports are written chunk by chunk to the response, honoring
+ *          backpressure, so result sets of any size stay out of memory
+ */
+
+const { once } = require('events');
+const AppError = require('./app-error');
+const { getLogger } = require('./logger.service');
+
+// Cells containing these characters must be quoted (RFC 4180 section 2.6)
+const QUOTE_REQUIRED_PATTERN = /[",\r\n]/;
+
+class CsvService {
+  constructor() {
+    this.logger = getLogger('csv-service');
+  }
+
+  /**
+   * Parse CSV text with a header row into records
+   * @param {string} text - CSV document
+   * @returns {Array<Object>} Records as { line, values } where values maps header to cell;
+   *                          blank lines are skipped and empty cells are omitted
+   */
+  parse(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw AppError.validationError('csv', null, 'CSV document is empty');
+    }
+
+    const rows = this._parseRows(text.replace(/^\uFEFF/, ''));
+    const [header, ...dataRows] = rows;
+    const headers = header.cells.map(cell => cell.trim());
+
+    const blankHeader = headers.findIndex(name => name === '');
+    if (blankHeader !== -1) {
+      throw AppError.validationError('csv', `column ${blankHeader + 1}`, 'Header cells cannot be empty');
+    }
+    const duplicateHeader = headers.find((name, index) => headers.indexOf(name) !== index);
+    if (duplicateHeader) {
+      throw AppError.validationError('csv', duplicateHeader, 'Duplicate header column');
+    }
+
+    return dataRows
+      .filter(row => row.cells.some(cell => cell !== ''))
+      .map(row => {
+        if (row.cells.length > headers.length) {
+          throw AppError.validationError('csv', `line ${row.line}`, `Row has ${row.cells.length} cells but header has ${headers.length}`);
+        }
+
+        const values = {};
+        headers.forEach((name, index) => {
+          if (row.cells[index] !== undefined && row.cells[index] !== '') {
+            values[name] = row.cells[index];
+          }
+        });
+
+        return { line: row.line, values };
+      });
+  }
+
+  /**
+   * Format one record as a CSV line terminated by CRLF
+   * @param {Array} values - Cell values (null/undefined become empty cells, dates ISO 8601)
+   * @returns {string} CSV line
+   */
+  formatRow(values) {
+    return values.map(value => this._formatCell(value)).join(',') + '\r\n';
+  }
+
+  /**
+   * Resolve requested export columns against the available column definitions
+   * @param {Array<Object>} available - Column definitions { key, header, value? }
+   * @param {string} requested - Comma separated column keys, empty for defaults
+   * @param {Array<string>} defaultKeys - Keys used when nothing is requested
+   * @returns {Array<Object>} Column definitions in requested order
+   */
+  resolveColumns(available, requested, defaultKeys) {
+    const keys = requested
+      ? String(requested).split(',').map(key => key.trim()).filter(Boolean)
+      : defaultKeys;
+
+    const unknownKeys = keys.filter(key => !available.some(column => column.key === key));
+    if (unknownKeys.length > 0) {
+      throw AppError.validationError(
+        'columns',
+        unknownKeys.join(','),
+        `Valid columns: ${available.map(column => column.key).join(', ')}`
+      );
+    }
+
+    return keys.map(key => available.find(column => column.key === key));
+  }
+
+  /**
+   * Stream CSV to an HTTP response, fetching rows chunk by chunk
+   * @param {Object} res - Express response
+   * @param {Object} options - Export options
+   * @param {string} options.filename - Download file name
+   * @param {Array<Object>} options.columns - Column definitions { key, header, value? }
+   * @param {Function} options.fetchChunk - async (cursor) => { rows, nextCursor }; nextCursor null ends the export
+   * @param {string} options.requestId - Request correlation ID
+   * @returns {Promise<number>} Rows written
+   */
+  async streamCsv(res, { filename, columns, fetchChunk, requestId = null }) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    let rowCount = 0;
+    let cursor = null;
+
+    try {
+      await this._write(res, this.formatRow(columns.map(column => column.header)));
+
+      do {
+        const chunk = await fetchChunk(cursor);
+
+        if (chunk.rows.length > 0) {
+          const lines = chunk.rows.map(row => this.formatRow(
+            columns.map(column => (column.value ? column.value(row) : row[column.key]))
+          ));
+          await this._write(res, lines.join(''));
+          rowCount += chunk.rows.length;
+        }
+
+        cursor = chunk.nextCursor;
+      } while (cursor !== null && !res.destroyed);
+
+      res.end();
+
+      return rowCount;
+
+    } catch (error) {
+      this.logger.error('CSV export aborted', {
+        filename,
+        rowCount,
+        requestId,
+        errorMessage: error.message
+      });
+
+      // Headers are already sent; abort the transfer so a partial file is not mistaken for a complete one
+      res.destroy(error);
+      return rowCount;
+    }
+  }
+
+  /**
+   * Write to response and wait for drain when the socket buffer is full
+   * @private
+   */
+  async _write(res, data) {
+    if (res.destroyed) {
+      throw new Error('Client closed the connection');
+    }
+    if (!res.write(data)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  }
+
+  /**
+   * Format single cell per RFC 4180
+   * @private
+   */
+  _formatCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+
+    return QUOTE_REQUIRED_PATTERN.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Split document into rows of cells, tracking the line each row starts on
+   * @private
+   */
+  _parseRows(text) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    let index = 0;
+
+    while (index < text.length) {
+      const char = text[index];
+
+      if (inQuotes) {
+        if (char === '"' && text[index + 1] === '"') {
+          cell += '"';
+          index += 2;
+          continue;
+        }
+        if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          cell += char;
+        }
+        index++;
+        continue;
+      }
+
+      if (char === '"' && cell === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        cells.push(cell);
+        rows.push({ line: rowLine, cells });
+        cells = [];
+        cell = '';
+        if (char === '\r' && text[index + 1] === '\n') {
+          index++;
+        }
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+      index++;
+    }
+
+    if (inQuotes) {
+      throw AppError.validationError('csv', `line ${rowLine}`, 'Unterminated quoted field');
+    }
+
+    if (cell !== '' || cells.length > 0) {
+      cells.push(cell);
+      rows.push({ line: rowLine, cells });
+    }
+
+    return rows;
+  }
+}
+
+// Export singleton instance
+const csvService = new CsvService();
+
+module.exports = {
+  parse: (text) => csvService.parse(text),
+  formatRow: (values) => csvService.formatRow(values),
+  resolveColumns: (available, requested, defaultKeys) => csvService.resolveColumns(available, requested, defaultKeys),
+  streamCsv: (res, options) => csvService.streamCsv(res, options)
+};
@@ -188,16 +188,17 @@ class DatabaseService {
    * Execute database transaction with proper error handling
    * @param {Function} transactionFn - Transaction function
    * @param {string} requestId - Request correlation ID
+   * @param {Object} options - Prisma interactive transaction options (timeout, maxWait)
    * @returns {Promise<any>} Transaction result
    */
-  async executeTransaction(transactionFn, requestId = null) {
+  async executeTransaction(transactionFn, requestId = null, options = {}) {
     const client = await this.getClient(requestId);
     const startTime = Date.now();
 
     try {
       debugSafe('Starting database transaction', { requestId }, 'database-service');
       
-      const result = await client.$transaction(transactionFn);
+      const result = await client.$transaction(transactionFn, options);
       
       const duration = Date.now() - startTime;
       this.logger.info('Database transaction completed', {
@@ -215,6 +216,11 @@ class DatabaseService {
         errorMessage: error.message
       });
 
+      // Domain errors raised inside the transaction keep their status code
+      if (error instanceof AppError) {
+        throw error;
+      }
+
       throw AppError.databaseError('transaction execution', error);
     }
   }
@@ -348,7 +354,7 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
 module.exports = {
   getClient: (requestId) => databaseService.getClient(requestId),
-  executeTransaction: (transactionFn, requestId) => databaseService.executeTransaction(transactionFn, requestId),
+  executeTransaction: (transactionFn, requestId, options) => databaseService.executeTransaction(transactionFn, requestId, options),
   executeQuery: (operation, queryFn, requestId) => databaseService.executeQuery(operation, queryFn, requestId),
   disconnect: (requestId) => databaseService.disconnect(requestId),
   healthCheck: (requestId) => databaseService.healthCheck(requestId)
@@ -0,0 +1,124 @@
+/**
+ * Entity Tag Service
+ * File: /common/services/entity-tag.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Version tokens for optimistic concurrency control and conditional GET.
+ *          Entity rows carry their updatedAt (or createdAt for never-updated rows)
+ *          as version, exposed to clients as an opaque ETag and returned in If-Match.
+ *          Read ETags also hash the state of the related rows in the representation,
+ *          so If-None-Match/If-Modified-Since can be answered before the full read
+ */
+
+const crypto = require('crypto');
+
+// "<entity>-<id>-<version ms>[-<representation hash>]", optionally weak
+const ENTITY_TAG_PATTERN = /^(?:W\/)?"([A-Za-z]+)-(\d+)-(\d+)(?:-[0-9a-f]+)?"$/;
+
+class EntityTagService {
+
+  /**
+   * Get version timestamp of an entity row
+   * @param {Object} entity - Entity record with updatedAt/createdAt
+   * @returns {Date|null} Version timestamp
+   */
+  getVersion(entity) {
+    if (!entity) {
+      return null;
+    }
+    return entity.updatedAt || entity.createdAt || null;
+  }
+
+  /**
+   * Create strong ETag for an entity
+   * @param {string} entityName - Entity name (e.g. customer)
+   * @param {number|string} id - Primary key value
+   * @param {Date} version - Version timestamp
+   * @param {Object} representation - Optional response body (or state of its related rows);
+   *                                  its hash distinguishes expanded representations of the same row version
+   * @returns {string} Quoted ETag value
+   */
+  createEntityTag(entityName, id, version, representation = null) {
+    const versionMs = version ? new Date(version).getTime() : 0;
+    const suffix = representation
+      ? `-${crypto.createHash('sha1').update(JSON.stringify(representation)).digest('hex').slice(0, 16)}`
+      : '';
+
+    return `"${entityName}-${id}-${versionMs}${suffix}"`;
+  }
+
+  /**
+   * Latest of several version timestamps
+   * @param {Array<Date|null>} versions - Version timestamps (nulls ignored)
+   * @returns {Date|null} Latest timestamp
+   */
+  latestVersion(versions) {
+    const times = versions.filter(Boolean).map(version => new Date(version).getTime());
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  /**
+   * Check conditional GET headers against the current validators.
+   * If-None-Match takes precedence; If-Modified-Since is only used without it
+   * @param {Object} headers - Request headers
+   * @param {Object} validators - { etag, lastModified } of the current representation (null when disabled)
+   * @returns {boolean} True when the client copy is current (answer 304)
+   */
+  isNotModified(headers, { etag = null, lastModified = null }) {
+    const ifNoneMatch = headers['if-none-match'];
+
+    if (ifNoneMatch !== undefined) {
+      const tags = String(ifNoneMatch).split(',').map(tag => tag.trim());
+      const opaque = (tag) => tag.replace(/^W\//, '');
+
+      // Weak comparison: W/"x" matches "x"
+      return tags.includes('*') || (etag !== null && tags.some(tag => opaque(tag) === opaque(etag)));
+    }
+
+    const ifModifiedSince = headers['if-modified-since'];
+    if (ifModifiedSince === undefined || !lastModified) {
+      return false;
+    }
+
+    const since = Date.parse(ifModifiedSince);
+
+    // HTTP dates have second precision
+    return !isNaN(since) && Math.floor(new Date(lastModified).getTime() / 1000) <= Math.floor(since / 1000);
+  }
+
+  /**
+   * Resolve expected version from an If-Match header
+   * @param {string} ifMatchHeader - Raw If-Match header value
+   * @param {string} entityName - Entity name the tag must belong to
+   * @param {number|string} id - Primary key the tag must belong to
+   * @returns {Object} { any: true } for "*", { version: Date } for a matching tag,
+   *                   or { version: null } when no tag belongs to this entity
+   */
+  parseIfMatch(ifMatchHeader, entityName, id) {
+    const tags = String(ifMatchHeader).split(',').map(tag => tag.trim()).filter(Boolean);
+
+    if (tags.includes('*')) {
+      return { any: true };
+    }
+
+    for (const tag of tags) {
+      const match = tag.match(ENTITY_TAG_PATTERN);
+      if (match && match[1] === entityName && match[2] === String(id)) {
+        return { version: new Date(parseInt(match[3])) };
+      }
+    }
+
+    return { version: null };
+  }
+}
+
+// Export singleton instance
+const entityTagService = new EntityTagService();
+
+module.exports = {
+  getVersion: (entity) => entityTagService.getVersion(entity),
+  createEntityTag: (entityName, id, version, representation) => entityTagService.createEntityTag(entityName, id, version, representation),
+  latestVersion: (versions) => entityTagService.latestVersion(versions),
+  isNotModified: (headers, validators) => entityTagService.isNotModified(headers, validators),
+  parseIfMatch: (ifMatchHeader, entityName, id) => entityTagService.parseIfMatch(ifMatchHeader, entityName, id)
+};
@@ -0,0 +1,215 @@
+/**
+ * Idempotency Store Service
+ * File: /common/services/idempotency-store.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Storage for Idempotency-Key records used by the idempotency middleware.
+ *          A record is claimed (PENDING) when a keyed request starts and holds the
+ *          response once it completes (COMPLETED). The database store keeps records
+ *          in the idempotency_key table so every container shares them; the memory
+ *          store suits single-instance setups and local development.
+ *          Other stores can be plugged in through createApp(..., { idempotencyStore })
+ *          by implementing claim/find/complete/release with the same semantics
+ */
+
+const techConfig = require('../config/technical.config');
+const { getClient } = require('./database.service');
+const { logDatabaseOperation } = require('./logger.service');
+
+const RECORD_STATUS = {
+  pending: 'PENDING',
+  completed: 'COMPLETED'
+};
+
+// Prisma unique constraint violation (record inserted by a concurrent request)
+const UNIQUE_VIOLATION = 'P2002';
+
+/**
+ * Record is free to be claimed again (retention over, or its request died holding the lock)
+ */
+const isStale = (record, now) =>
+  record.expiresAt <= now || (record.status === RECORD_STATUS.pending && record.lockedUntil <= now);
+
+class DatabaseIdempotencyStore {
+  constructor() {
+    this.lastSweepAt = 0;
+  }
+
+  /**
+   * Claim a key for a new request
+   * @param {Object} record - { scope, key, fingerprint, lockedUntil, expiresAt }
+   * @returns {Promise<Object>} { claimed: true } or { claimed: false, record } with the existing record
+   */
+  async claim({ scope, key, fingerprint, lockedUntil, expiresAt }) {
+    const client = await getClient();
+    const startTime = Date.now();
+    const data = { callerScope: scope, idempotencyKey: key, requestFingerprint: fingerprint, status: RECORD_STATUS.pending, lockedUntil, expiresAt };
+
+    await this._sweep(client);
+
+    try {
+      await client.idempotencyKey.create({ data });
+      logDatabaseOperation('INSERT-IDEMPOTENCY', 'idempotencyKey', Date.now() - startTime, null, 'idempotency-store');
+      return { claimed: true };
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION) {
+        throw error;
+      }
+    }
+
+    const existing = await this.find(scope, key);
+    if (!existing) {
+      // Released by its request between our insert and read
+      return this.claim({ scope, key, fingerprint, lockedUntil, expiresAt });
+    }
+    if (!isStale(existing, new Date())) {
+      return { claimed: false, record: existing };
+    }
+
+    // Take over a stale record only if nobody else did in the meantime
+    const { count } = await client.idempotencyKey.updateMany({
+      where: { callerScope: scope, idempotencyKey: key, status: existing.status, lockedUntil: existing.lockedUntil, expiresAt: existing.expiresAt },
+      data: { ...data, responseStatus: null, responseHeaders: null, responseBody: null }
+    });
+
+    return count === 1 ? { claimed: true } : { claimed: false, record: await this.find(scope, key) };
+  }
+
+  /**
+   * Read a record
+   * @param {string} scope - Caller scope
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} { fingerprint, status, response, lockedUntil, expiresAt }
+   */
+  async find(scope, key) {
+    const client = await getClient();
+    const row = await client.idempotencyKey.findUnique({
+      where: { callerScope_idempotencyKey: { callerScope: scope, idempotencyKey: key } }
+    });
+
+    return row ? {
+      fingerprint: row.requestFingerprint,
+      status: row.status,
+      response: row.status === RECORD_STATUS.completed
+        ? { statusCode: row.responseStatus, headers: row.responseHeaders || {}, body: row.responseBody }
+        : null,
+      lockedUntil: row.lockedUntil,
+      expiresAt: row.expiresAt
+    } : null;
+  }
+
+  /**
+   * Store the response of a claimed key
+   * @param {string} scope - Caller scope
+   * @param {string} key - Idempotency key
+   * @param {Object} response - { statusCode, headers, body }
+   */
+  async complete(scope, key, { statusCode, headers, body }) {
+    const client = await getClient();
+    const startTime = Date.now();
+
+    await client.idempotencyKey.updateMany({
+      where: { callerScope: scope, idempotencyKey: key, status: RECORD_STATUS.pending },
+      data: { status: RECORD_STATUS.completed, responseStatus: statusCode, responseHeaders: headers, responseBody: body, lockedUntil: null }
+    });
+
+    logDatabaseOperation('UPDATE-IDEMPOTENCY', 'idempotencyKey', Date.now() - startTime, null, 'idempotency-store');
+  }
+
+  /**
+   * Drop a claimed key so the request can be retried
+   * @param {string} scope - Caller scope
+   * @param {string} key - Idempotency key
+   */
+  async release(scope, key) {
+    const client = await getClient();
+
+    await client.idempotencyKey.deleteMany({
+      where: { callerScope: scope, idempotencyKey: key, status: RECORD_STATUS.pending }
+    });
+  }
+
+  /**
+   * Delete records past their retention, at most once per sweep interval
+   * @private
+   */
+  async _sweep(client) {
+    if (Date.now() - this.lastSweepAt < techConfig.idempotency.sweepIntervalMs) {
+      return;
+    }
+
+    this.lastSweepAt = Date.now();
+    const startTime = Date.now();
+
+    await client.idempotencyKey.deleteMany({ where: { expiresAt: { lte: new Date() } } });
+
+    logDatabaseOperation('DELETE-IDEMPOTENCY', 'idempotencyKey', Date.now() - startTime, null, 'idempotency-store');
+  }
+}
+
+// Same contract as DatabaseIdempotencyStore, records held in process memory
+class MemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async claim({ scope, key, fingerprint, lockedUntil, expiresAt }) {
+    const now = new Date();
+    this._sweep(now);
+
+    const id = this._id(scope, key);
+    const existing = this.records.get(id);
+    if (existing && !isStale(existing, now)) {
+      return { claimed: false, record: { ...existing } };
+    }
+
+    this.records.set(id, { fingerprint, status: RECORD_STATUS.pending, response: null, lockedUntil, expiresAt });
+    return { claimed: true };
+  }
+
+  async find(scope, key) {
+    const record = this.records.get(this._id(scope, key));
+    return record ? { ...record } : null;
+  }
+
+  async complete(scope, key, response) {
+    const record = this.records.get(this._id(scope, key));
+
+    if (record && record.status === RECORD_STATUS.pending) {
+      Object.assign(record, { status: RECORD_STATUS.completed, response, lockedUntil: null });
+    }
+  }
+
+  async release(scope, key) {
+    const id = this._id(scope, key);
+
+    if (this.records.get(id)?.status === RECORD_STATUS.pending) {
+      this.records.delete(id);
+    }
+  }
+
+  /**
+   * Drop records past their retention
+   * @private
+   */
+  _sweep(now) {
+    this.records.forEach((record, id) => {
+      if (record.expiresAt <= now) {
+        this.records.delete(id);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _id(scope, key) {
+    return `${scope}\u0000${key}`;
+  }
+}
+
+module.exports = {
+  RECORD_STATUS,
+  createDatabaseIdempotencyStore: () => new DatabaseIdempotencyStore(),
+  createMemoryIdempotencyStore: () => new MemoryIdempotencyStore()
+};
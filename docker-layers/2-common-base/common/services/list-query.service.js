@@ -0,0 +1,250 @@
+/**
+ * List Query Service
+ * File: /common/services/list-query.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Filter and sort query language for list endpoints, e.g.
+ *          ?filter[accountType]=NATIONAL&filter[numberOfUsers][gte]=5&sort=-createdAt,accountName
+ *          Fields and sort keys are whitelisted per entity in business config.
+ *          listQueryKeys() supplies the Joi query keys for a route schema, so
+ *          unknown fields, operators and values are rejected by validation;
+ *          parseListQuery() turns the validated query into Prisma where/orderBy
+ */
+
+const Joi = require('joi');
+
+const businessConfig = require('../config/business.config');
+const { debugSafe } = require('./logger.service');
+
+// Operators per field type; a bare value (filter[field]=value) means eq
+const FIELD_TYPES = {
+  string: { schema: () => Joi.string().max(255), operators: ['eq', 'ne', 'in', 'contains', 'startsWith'] },
+  integer: { schema: () => Joi.number().integer(), operators: ['eq', 'ne', 'in', 'gt', 'gte', 'lt', 'lte'] },
+  date: { schema: () => Joi.date().iso(), operators: ['eq', 'gt', 'gte', 'lt', 'lte'] },
+  boolean: { schema: () => Joi.boolean(), operators: ['eq', 'ne'] }
+};
+
+// Filter operator -> Prisma field condition
+const PRISMA_OPERATORS = {
+  eq: (value) => ({ equals: value }),
+  ne: (value) => ({ not: value }),
+  in: (value) => ({ in: value }),
+  contains: (value) => ({ contains: value, mode: 'insensitive' }),
+  startsWith: (value) => ({ startsWith: value, mode: 'insensitive' }),
+  gt: (value) => ({ gt: value }),
+  gte: (value) => ({ gte: value }),
+  lt: (value) => ({ lt: value }),
+  lte: (value) => ({ lte: value })
+};
+
+class ListQueryService {
+  constructor() {
+    this.rules = businessConfig.listQuery;
+  }
+
+  /**
+   * Joi query keys accepted by a list endpoint of the entity
+   * @param {string} entityName - Prisma model name (camelCase)
+   * @param {Object} options - Key options
+   * @param {boolean} options.sort - Include the sort key (defaults to true; exports keep key order)
+   * @returns {Object} Joi keys for filter, sort and the legacy params
+   */
+  listQueryKeys(entityName, { sort = true } = {}) {
+    const spec = this._getSpec(entityName);
+
+    const filterKeys = Object.fromEntries(
+      Object.entries(spec.filters).map(([field, type]) => [field, this._fieldSchema(type)])
+    );
+
+    const legacyKeys = Object.fromEntries(
+      Object.entries(spec.legacyParams || {}).map(([param, [field, operator]]) => [
+        param,
+        // Empty legacy values mean unfiltered
+        (operator === 'deleted' ? Joi.boolean() : FIELD_TYPES[spec.filters[field]].schema()).allow('')
+      ])
+    );
+
+    return {
+      filter: Joi.object(filterKeys).description(
+        `filter[field]=value or filter[field][operator]=value (operators: ${this._operatorSummary(spec)})`
+      ),
+      ...(sort && { sort: this._sortSchema(spec) }),
+      ...legacyKeys
+    };
+  }
+
+  /**
+   * Build Prisma where/orderBy from a query validated against listQueryKeys()
+   * @param {string} entityName - Prisma model name (camelCase)
+   * @param {Object} query - Validated req.query
+   * @returns {Object} { where, orderBy } - where is {} without filters, orderBy always ends with the tie breaker
+   */
+  parseListQuery(entityName, query = {}) {
+    const spec = this._getSpec(entityName);
+    const conditions = [];
+
+    Object.entries(query.filter || {}).forEach(([field, filter]) => {
+      const operations = this._isOperatorObject(filter) ? filter : { eq: filter };
+      const condition = {};
+
+      Object.entries(operations).forEach(([operator, value]) => {
+        Object.assign(condition, PRISMA_OPERATORS[operator](value));
+      });
+
+      conditions.push({ [field]: condition });
+    });
+
+    Object.entries(spec.legacyParams || {}).forEach(([param, [field, operator]]) => {
+      const value = query[param];
+
+      if (value === undefined || value === '') {
+        return;
+      }
+
+      conditions.push({ [field]: this._legacyCondition(operator, value) });
+    });
+
+    const listQuery = {
+      where: conditions.length > 0 ? { AND: conditions } : {},
+      orderBy: this._buildOrderBy(spec, query.sort)
+    };
+
+    debugSafe('List query parsed', {
+      entityName,
+      conditionCount: conditions.length,
+      orderBy: listQuery.orderBy
+    }, 'list-query-service');
+
+    return listQuery;
+  }
+
+  /**
+   * Whitelist of an entity
+   * @private
+   */
+  _getSpec(entityName) {
+    const spec = this.rules.entities[entityName];
+
+    if (!spec) {
+      throw new Error(`No list query rules configured for entity '${entityName}'`);
+    }
+
+    return spec;
+  }
+
+  /**
+   * Schema of one filter field: a bare value or an object of operators
+   * @private
+   */
+  _fieldSchema(type) {
+    const { schema, operators } = FIELD_TYPES[type];
+
+    const operatorKeys = Object.fromEntries(operators.map(operator => [
+      operator,
+      operator === 'in' ? this._listSchema(schema) : schema()
+    ]));
+
+    return Joi.alternatives().conditional(Joi.object(), {
+      then: Joi.object(operatorKeys).min(1),
+      otherwise: schema()
+    });
+  }
+
+  /**
+   * Schema of an in-list: repeated params or one comma separated value
+   * @private
+   */
+  _listSchema(schema) {
+    const items = Joi.array().items(schema().label('item')).min(1).max(this.rules.maxInValues).label('list');
+
+    return Joi.alternatives().conditional(Joi.array(), {
+      then: items,
+      otherwise: Joi.string().custom((value, helpers) => {
+        const { value: list, error } = items.validate(
+          value.split(',').map(item => item.trim()),
+          { errors: { wrap: { label: false } } }
+        );
+        return error ? helpers.message(`{#label} must be a comma separated list: ${error.details[0].message}`) : list;
+      })
+    });
+  }
+
+  /**
+   * Schema of the sort key: comma separated whitelisted fields, '-' prefix for descending
+   * @private
+   */
+  _sortSchema(spec) {
+    return Joi.string().custom((value, helpers) => {
+      const fields = value.split(',').map(item => item.trim().replace(/^-/, ''));
+
+      const unknown = fields.find(field => !spec.sortable.includes(field));
+      if (unknown !== undefined) {
+        return helpers.message(`{#label} field '${unknown}' is not sortable (allowed: ${spec.sortable.join(', ')})`);
+      }
+      if (new Set(fields).size !== fields.length) {
+        return helpers.message('{#label} must not repeat a field');
+      }
+      if (fields.length > this.rules.maxSortFields) {
+        return helpers.message(`{#label} accepts at most ${this.rules.maxSortFields} fields`);
+      }
+
+      return value;
+    }).description(`Comma separated, '-' for descending: ${spec.sortable.join(', ')}`);
+  }
+
+  /**
+   * Prisma orderBy for a validated sort value, tie breaker appended
+   * @private
+   */
+  _buildOrderBy(spec, sort) {
+    const orderBy = (sort ? sort.split(',') : []).map(item => {
+      const key = item.trim();
+      return key.startsWith('-') ? { [key.slice(1)]: 'desc' } : { [key]: 'asc' };
+    });
+
+    if (!orderBy.some(order => order[spec.tieBreaker] !== undefined)) {
+      orderBy.push({ [spec.tieBreaker]: 'asc' });
+    }
+
+    return orderBy;
+  }
+
+  /**
+   * Condition of a legacy param; 'deleted' compares the status with the soft delete code
+   * @private
+   */
+  _legacyCondition(operator, value) {
+    if (operator === 'deleted') {
+      const { deletedStatus } = businessConfig.softDelete;
+      return value ? { equals: deletedStatus } : { not: deletedStatus };
+    }
+
+    return PRISMA_OPERATORS[operator](value);
+  }
+
+  /**
+   * Operator object (not a bare value; Dates come out of validation as objects too)
+   * @private
+   */
+  _isOperatorObject(filter) {
+    return filter !== null && typeof filter === 'object' && !(filter instanceof Date);
+  }
+
+  /**
+   * Operators per field type used by an entity, for the schema description
+   * @private
+   */
+  _operatorSummary(spec) {
+    return [...new Set(Object.values(spec.filters))]
+      .map(type => `${type}: ${FIELD_TYPES[type].operators.join('/')}`)
+      .join('; ');
+  }
+}
+
+// Export singleton instance
+const listQueryService = new ListQueryService();
+
+module.exports = {
+  listQueryKeys: (entityName, options) => listQueryService.listQueryKeys(entityName, options),
+  parseListQuery: (entityName, query) => listQueryService.parseListQuery(entityName, query)
+};
@@ -5,11 +5,14 @@
  * 
  * Purpose: Centralized logging service with Winston for structured logging,
  *          request tracing, environment-aware log levels, and performance-optimized debug logging
+ *          Entries logged during a request carry its requestId from the request context
+ *          when the caller does not pass one
  */
 
 const winston = require('winston');
 const path = require('path');
 const techConfig = require('../config/technical.config');
+const { getRequestId } = require('./request-context.service');
 
 class LoggerService {
   constructor() {
@@ -68,6 +71,7 @@ class LoggerService {
 
     return winston.createLogger({
       level: logConfig.level,
+      format: this._getContextFormat(),
       defaultMeta: { 
         service: serviceName,
         environment: process.env.NODE_ENV || 'development'
@@ -77,6 +81,25 @@ class LoggerService {
     });
   }
 
+  /**
+   * Fill requestId from the request context when not given explicitly
+   * @private
+   * @returns {winston.Logform.Format} Context format
+   */
+  _getContextFormat() {
+    return winston.format((info) => {
+      if (info.requestId === undefined || info.requestId === null) {
+        const requestId = getRequestId();
+        if (requestId) {
+          info.requestId = requestId;
+        } else {
+          delete info.requestId;
+        }
+      }
+      return info;
+    })();
+  }
+
   /**
    * Get console log format (colorized for development)
    * @private
@@ -177,7 +200,7 @@ class LoggerService {
 
   /**
    * Create request logger with correlation ID
-   * @param {string} requestId - Unique request identifier
+   * @param {string} requestId - Unique request identifier (defaults to the request context)
    * @param {string} serviceName - Service name
    * @returns {Object} Logger with request context
    */
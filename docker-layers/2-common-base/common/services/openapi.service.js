@@ -0,0 +1,388 @@
+/**
+ * OpenAPI Documentation Service
+ * File: /common/services/openapi.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Build an OpenAPI 3 document from the route definitions a service
+ *          registers (method, path, Joi request schemas, authorization policy)
+ *          and serve it with a self-hosted Swagger UI page.
+ *          Routes classes expose their definitions through getRouteDefinitions()
+ */
+
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+
+const techConfig = require('../config/technical.config');
+const { getLogger } = require('./logger.service');
+
+const OPENAPI_VERSION = '3.0.3';
+
+// Body content type when the route schema does not declare one
+const DEFAULT_CONTENT_TYPE = 'application/json';
+
+// Response envelopes shared by every operation
+const COMPONENT_SCHEMAS = {
+  SuccessResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      data: {},
+      message: { type: 'string' },
+      requestId: { type: 'string' }
+    },
+    required: ['success', 'requestId']
+  },
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          code: { type: 'string' },
+          statusCode: { type: 'integer' },
+          timestamp: { type: 'string', format: 'date-time' },
+          requestId: { type: 'string' },
+          metadata: { type: 'object' }
+        },
+        required: ['message', 'code', 'statusCode']
+      }
+    }
+  }
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+});
+
+class OpenApiService {
+  constructor() {
+    this.logger = getLogger('openapi-service');
+  }
+
+  /**
+   * Build OpenAPI document for a service
+   * @param {string} serviceName - Service name used as document title
+   * @param {Array<Object>} routeDefinitions - Routes as { method, path, schemas, policy, operationId, summary, notImplemented }
+   * @param {Object} options - Document options
+   * @param {string} options.version - API version (defaults to 1.0.0)
+   * @param {string} options.basePath - Prefix the routes are mounted under (defaults to /api)
+   * @returns {Object} OpenAPI 3 document
+   */
+  buildDocument(serviceName, routeDefinitions, { version = '1.0.0', basePath = '/api' } = {}) {
+    const paths = {};
+
+    routeDefinitions.forEach(route => {
+      const openApiPath = `${basePath}${route.path.replace(/:(\w+)/g, '{$1}')}`;
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][route.method.toLowerCase()] = this._buildOperation(route);
+    });
+
+    const document = {
+      openapi: OPENAPI_VERSION,
+      info: {
+        title: serviceName,
+        version
+      },
+      servers: [{ url: '/' }],
+      security: [{ bearerAuth: [] }],
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+        },
+        schemas: COMPONENT_SCHEMAS
+      }
+    };
+
+    this.logger.info('OpenAPI document built', {
+      serviceName,
+      operationCount: routeDefinitions.length,
+      notImplemented: routeDefinitions.filter(route => route.notImplemented).length
+    });
+
+    return document;
+  }
+
+  /**
+   * Create router serving the document and its Swagger UI page
+   * @param {Object} document - OpenAPI document
+   * @param {string} basePath - Prefix the router is mounted under (defaults to /api)
+   * @returns {express.Router} Router with GET /openapi.json and GET /docs
+   */
+  createDocsRouter(document, basePath = '/api') {
+    const router = express.Router();
+
+    router.get('/openapi.json', (req, res) => {
+      res.json(document);
+    });
+
+    // Page and initializer are separate files so the default helmet CSP (script-src 'self') allows them
+    router.get('/docs', (req, res) => {
+      res.type('html').send(this._renderDocsPage(document.info.title, basePath));
+    });
+    router.get('/docs/initializer.js', (req, res) => {
+      res.type('application/javascript').send(this._renderInitializer(`${basePath}/openapi.json`));
+    });
+    router.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+    return router;
+  }
+
+  /**
+   * Build operation object for one route
+   * @private
+   */
+  _buildOperation(route) {
+    const { schemas = {}, policy = {} } = route;
+    const operation = {
+      operationId: route.operationId,
+      summary: route.summary,
+      tags: [policy.resource || 'service'],
+      parameters: [
+        ...this._buildParameters('path', schemas.params, this._pathParamNames(route.path)),
+        ...this._buildParameters('query', schemas.query)
+      ],
+      responses: {
+        '2XX': {
+          description: 'Successful response',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' } } }
+        }
+      }
+    };
+
+    if (schemas.body) {
+      operation.requestBody = this._buildRequestBody(schemas.body, schemas.consumes);
+    }
+
+    if (schemas.params || schemas.query || schemas.body) {
+      operation.responses['422'] = errorResponse('Request validation failed');
+    }
+
+    if (route.method === 'POST' && techConfig.idempotency.enabled) {
+      operation.parameters.push({
+        name: techConfig.idempotency.header,
+        in: 'header',
+        required: false,
+        description: 'Client generated key; retries with the same key replay the first response',
+        schema: { type: 'string', maxLength: techConfig.idempotency.maxKeyLength }
+      });
+      operation.responses['409'] = errorResponse('A request with the same Idempotency-Key is still in progress');
+    }
+
+    if (route.rateLimitGroup && techConfig.rateLimit.enabled) {
+      const { limit, windowMs } = techConfig.rateLimit.policies[route.rateLimitGroup];
+      operation.responses['429'] = errorResponse(
+        `More than ${limit} ${route.rateLimitGroup} requests in ${windowMs / 60000} minutes, retry after Retry-After seconds`
+      );
+    }
+
+    if (policy.public) {
+      operation.security = [];
+    } else {
+      operation.responses['401'] = errorResponse('Missing or invalid bearer token');
+      operation.responses['403'] = errorResponse(`Requires ${policy.resource}:${policy.action} permission`);
+    }
+
+    if (route.notImplemented) {
+      operation.description = 'Not implemented yet, the route responds with 501';
+      operation['x-not-implemented'] = true;
+      operation.responses = { '501': errorResponse('Not implemented') };
+    }
+
+    return operation;
+  }
+
+  /**
+   * Build parameter objects from a Joi object schema
+   * @private
+   * @param {string} location - 'path' or 'query'
+   * @param {Joi.Schema} schema - Joi object schema (optional)
+   * @param {Array<string>} requiredNames - Names always present (path params)
+   */
+  _buildParameters(location, schema, requiredNames = []) {
+    const keys = schema ? (schema.describe().keys || {}) : {};
+    const names = [...new Set([...requiredNames, ...Object.keys(keys)])];
+
+    return names.map(name => ({
+      name,
+      in: location,
+      required: location === 'path' || keys[name]?.flags?.presence === 'required',
+      schema: keys[name] ? this._toSchema(keys[name]) : { type: 'string' },
+      // Nested query objects are sent as name[key]=value
+      ...(keys[name]?.type === 'object' && { style: 'deepObject', explode: true })
+    }));
+  }
+
+  /**
+   * Build request body per accepted content type; text/* types carry the raw string
+   * @private
+   */
+  _buildRequestBody(schema, consumes = [DEFAULT_CONTENT_TYPE]) {
+    const description = schema.describe();
+    const content = {};
+
+    consumes.forEach(contentType => {
+      content[contentType] = {
+        schema: contentType.startsWith('text/') ? { type: 'string' } : this._toSchema(this._withoutStrings(description))
+      };
+    });
+
+    return {
+      required: description.flags?.presence === 'required',
+      content
+    };
+  }
+
+  /**
+   * Drop string alternatives from a body description (served through text/* content)
+   * @private
+   */
+  _withoutStrings(description) {
+    if (description.type !== 'alternatives') {
+      return description;
+    }
+
+    const matches = description.matches.filter(match => match.schema?.type !== 'string');
+    return matches.length === 1 ? matches[0].schema : { ...description, matches };
+  }
+
+  /**
+   * Convert Joi description to an OpenAPI schema object
+   * @private
+   * @param {Object} description - Output of Joi schema.describe()
+   * @returns {Object} OpenAPI schema
+   */
+  _toSchema(description) {
+    const flags = description.flags || {};
+    const rules = Object.fromEntries((description.rules || []).map(rule => [rule.name, rule.args || {}]));
+    const allowed = description.allow || [];
+    const schema = {};
+
+    switch (description.type) {
+      case 'object': {
+        schema.type = 'object';
+        const keys = description.keys || {};
+        const properties = Object.fromEntries(
+          Object.entries(keys).map(([name, key]) => [name, this._toSchema(key)])
+        );
+        const required = Object.keys(keys).filter(name => keys[name].flags?.presence === 'required');
+
+        if (description.keys) {
+          schema.properties = properties;
+          schema.additionalProperties = Boolean(flags.unknown);
+        }
+        if (required.length > 0) {
+          schema.required = required;
+        }
+        break;
+      }
+
+      case 'array':
+        schema.type = 'array';
+        schema.items = description.items?.[0] ? this._toSchema(description.items[0]) : {};
+        if (rules.min) schema.minItems = rules.min.limit;
+        if (rules.max) schema.maxItems = rules.max.limit;
+        break;
+
+      case 'number':
+        schema.type = rules.integer ? 'integer' : 'number';
+        if (rules.sign?.sign === 'positive') schema.minimum = 1;
+        if (rules.min) schema.minimum = rules.min.limit;
+        if (rules.max) schema.maximum = rules.max.limit;
+        break;
+
+      case 'string':
+        schema.type = 'string';
+        if (rules.max) schema.maxLength = rules.max.limit;
+        if (rules.isoDate) schema.format = 'date-time';
+        if (rules.pattern) schema.pattern = this._regexSource(rules.pattern.regex);
+        if (!allowed.includes('') && !flags.only && !rules.pattern) schema.minLength = 1;
+        break;
+
+      case 'boolean':
+        schema.type = 'boolean';
+        break;
+
+      case 'date':
+        schema.type = 'string';
+        schema.format = 'date-time';
+        break;
+
+      case 'alternatives':
+        // Conditional alternatives (is/then/otherwise) contribute both branches
+        schema.oneOf = description.matches
+          .flatMap(match => match.schema ? [match.schema] : [match.then, match.otherwise].filter(Boolean))
+          .map(match => this._toSchema(match));
+        break;
+
+      default:
+        break;
+    }
+
+    if (flags.only) {
+      schema.enum = allowed.filter(value => value !== null);
+    }
+    if (allowed.includes(null)) {
+      schema.nullable = true;
+    }
+    if (flags.description) {
+      schema.description = flags.description;
+    }
+
+    return schema;
+  }
+
+  /**
+   * Strip delimiters and flags from a described regex ('/^[A-Z]{3}$/' -> '^[A-Z]{3}$')
+   * @private
+   */
+  _regexSource(regex) {
+    return String(regex).replace(/^\/(.*)\/[a-z]*$/, '$1');
+  }
+
+  /**
+   * Names of :params in an Express route path
+   * @private
+   */
+  _pathParamNames(routePath) {
+    return (routePath.match(/:(\w+)/g) || []).map(param => param.slice(1));
+  }
+
+  /**
+   * Render Swagger UI page loading the self-hosted assets
+   * @private
+   */
+  _renderDocsPage(title, basePath) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${title} - API documentation</title>
+  <link rel="stylesheet" href="${basePath}/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${basePath}/docs/assets/swagger-ui-bundle.js"></script>
+  <script src="${basePath}/docs/initializer.js"></script>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render Swagger UI initializer pointing at the document URL
+   * @private
+   */
+  _renderInitializer(documentUrl) {
+    return `window.ui = SwaggerUIBundle({ url: ${JSON.stringify(documentUrl)}, dom_id: '#swagger-ui' });\n`;
+  }
+}
+
+// Export singleton instance
+const openApiService = new OpenApiService();
+
+module.exports = {
+  buildDocument: (serviceName, routeDefinitions, options) => openApiService.buildDocument(serviceName, routeDefinitions, options),
+  createDocsRouter: (document, basePath) => openApiService.createDocsRouter(document, basePath)
+};
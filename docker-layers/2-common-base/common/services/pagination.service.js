@@ -0,0 +1,218 @@
+/**
+ * Pagination Service
+ * File: /common/services/pagination.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Keyset (cursor) pagination over a Prisma model delegate.
+ *          Cursors are opaque base64url tokens holding the sort key values of
+ *          the first/last row of a page, so pages stay stable while rows are
+ *          inserted or deleted. page/perPage offset paging remains available
+ *          as a fallback; both modes return nextCursor/prevCursor.
+ *          The sort must end with a unique key (primary key tie breaker)
+ */
+
+const techConfig = require('../config/technical.config');
+const AppError = require('./app-error');
+
+const DIRECTIONS = {
+  next: 'next',
+  prev: 'prev'
+};
+
+class PaginationService {
+  constructor() {
+    this.rules = techConfig.pagination;
+  }
+
+  /**
+   * Resolve requested page size against the configured default and maximum
+   * @param {number} perPage - Requested records per page (optional)
+   * @returns {number} Page size
+   * @throws {AppError} When outside 1..maxPerPage
+   */
+  resolvePerPage(perPage) {
+    if (perPage === undefined || perPage === null) {
+      return this.rules.defaultPerPage;
+    }
+
+    if (!Number.isInteger(perPage) || perPage < 1 || perPage > this.rules.maxPerPage) {
+      throw AppError.validationError('perPage', perPage, `perPage must be between 1 and ${this.rules.maxPerPage}`);
+    }
+
+    return perPage;
+  }
+
+  /**
+   * Read one page from a model delegate
+   * @param {Object} delegate - Prisma model delegate (client.account, tx.user, ...)
+   * @param {Object} options - Page options
+   * @param {Object} options.where - Filter conditions
+   * @param {Array<Object>} options.orderBy - Prisma orderBy list ([{ field: 'asc' }]), ending with a unique key
+   * @param {Object} options.select - Prisma select (sort fields are added for the cursor and stripped again)
+   * @param {string} options.cursor - Cursor from a previous page; when set, page is ignored
+   * @param {number} options.page - Page number (1-based) for offset paging
+   * @param {number} options.perPage - Records per page
+   * @returns {Promise<Object>} { data, nextCursor, prevCursor, hasNext, hasPrev }
+   */
+  async paginate(delegate, { where = {}, orderBy, select = null, cursor = null, page = 1, perPage }) {
+    const sortKeys = this._toSortKeys(orderBy);
+    const position = cursor ? this._decodeCursor(cursor, sortKeys) : null;
+    const backwards = position?.direction === DIRECTIONS.prev;
+
+    // A previous page is read in reverse order from the cursor and flipped afterwards
+    const querySortKeys = backwards ? this._reverse(sortKeys) : sortKeys;
+
+    const querySelect = select ? { ...select } : null;
+    if (querySelect) {
+      sortKeys.forEach(({ field }) => { querySelect[field] = true; });
+    }
+
+    const rows = await delegate.findMany({
+      where: position ? { AND: [where, this._buildKeysetWhere(querySortKeys, position.values)] } : where,
+      orderBy: querySortKeys.map(({ field, direction }) => ({ [field]: direction })),
+      ...(!position && page > 1 && { skip: (page - 1) * perPage }),
+      take: perPage + 1,
+      ...(querySelect && { select: querySelect })
+    });
+
+    const hasMore = rows.length > perPage;
+    const pageRows = hasMore ? rows.slice(0, perPage) : rows;
+    if (backwards) {
+      pageRows.reverse();
+    }
+
+    // Reading backwards we came from the following page, reading forwards from the preceding one
+    const hasNext = backwards ? true : hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(position) || page > 1;
+    const first = pageRows[0];
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      data: select ? pageRows.map(row => this._pick(row, select)) : pageRows,
+      nextCursor: hasNext && last ? this._encodeCursor(sortKeys, last, DIRECTIONS.next) : null,
+      prevCursor: hasPrev && first ? this._encodeCursor(sortKeys, first, DIRECTIONS.prev) : null,
+      hasNext: hasNext && Boolean(last),
+      hasPrev: hasPrev && Boolean(first)
+    };
+  }
+
+  /**
+   * Normalise Prisma orderBy (object or list) into sort keys
+   * @private
+   */
+  _toSortKeys(orderBy) {
+    return [].concat(orderBy || []).flatMap(order => Object.entries(order))
+      .map(([field, direction]) => ({ field, direction }));
+  }
+
+  /**
+   * Flip every sort direction
+   * @private
+   */
+  _reverse(sortKeys) {
+    return sortKeys.map(({ field, direction }) => ({ field, direction: direction === 'desc' ? 'asc' : 'desc' }));
+  }
+
+  /**
+   * Build keyset condition selecting rows strictly after the cursor position
+   * (an OR-chain of "equal on previous keys, beyond on this key")
+   * @private
+   */
+  _buildKeysetWhere(sortKeys, values) {
+    const branches = sortKeys.map(({ field, direction }, index) => {
+      const beyond = this._beyond(field, direction, values[index]);
+      if (!beyond) {
+        return null;
+      }
+
+      const condition = {};
+      sortKeys.slice(0, index).forEach((previous, previousIndex) => {
+        condition[previous.field] = values[previousIndex];
+      });
+      return { AND: [condition, beyond] };
+    }).filter(Boolean);
+
+    return { OR: branches };
+  }
+
+  /**
+   * Condition for values after the given one in sort order, null when none can follow.
+   * PostgreSQL puts NULLs last ascending and first descending
+   * @private
+   */
+  _beyond(field, direction, value) {
+    if (direction === 'desc') {
+      return value === null ? { [field]: { not: null } } : { [field]: { lt: value } };
+    }
+
+    return value === null ? null : { OR: [{ [field]: { gt: value } }, { [field]: null }] };
+  }
+
+  /**
+   * Encode opaque cursor from a boundary row
+   * @private
+   * @returns {string} Base64url cursor token
+   */
+  _encodeCursor(sortKeys, row, direction) {
+    const payload = {
+      s: this._signature(sortKeys),
+      d: direction,
+      v: sortKeys.map(({ field }) => (row[field] instanceof Date ? { date: row[field].toISOString() } : row[field]))
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode cursor token and check it was issued for the same sort order
+   * @private
+   * @returns {Object} { direction, values } with values aligned with sortKeys
+   * @throws {AppError} When cursor is malformed or sort order differs
+   */
+  _decodeCursor(cursor, sortKeys) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw AppError.validationError('cursor', cursor, 'Cursor is malformed');
+    }
+
+    if (!payload || !Object.values(DIRECTIONS).includes(payload.d) || !Array.isArray(payload.v)) {
+      throw AppError.validationError('cursor', cursor, 'Cursor is malformed');
+    }
+    if (payload.s !== this._signature(sortKeys) || payload.v.length !== sortKeys.length) {
+      throw AppError.validationError('cursor', cursor, 'Cursor does not match the requested sort order');
+    }
+
+    return {
+      direction: payload.d,
+      values: payload.v.map(value => (value !== null && typeof value === 'object' ? new Date(value.date) : value))
+    };
+  }
+
+  /**
+   * Sort order fingerprint stored in the cursor ("-createdAt,accountId")
+   * @private
+   */
+  _signature(sortKeys) {
+    return sortKeys.map(({ field, direction }) => (direction === 'desc' ? `-${field}` : field)).join(',');
+  }
+
+  /**
+   * Keep the originally selected fields of a row
+   * @private
+   */
+  _pick(row, select) {
+    return Object.keys(select).reduce((picked, field) => {
+      picked[field] = row[field];
+      return picked;
+    }, {});
+  }
+}
+
+// Export singleton instance
+const paginationService = new PaginationService();
+
+module.exports = {
+  resolvePerPage: (perPage) => paginationService.resolvePerPage(perPage),
+  paginate: (delegate, options) => paginationService.paginate(delegate, options)
+};
@@ -0,0 +1,185 @@
+/**
+ * Rate Limit Store Service
+ * File: /common/services/rate-limit-store.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Fixed window hit counters for the rate limit middleware.
+ *          A counter holds the hits of one policy and caller until its window
+ *          resets. The database store keeps counters in the rate_limit_counter
+ *          table so every container counts against the same limit; the memory
+ *          store suits single-instance setups and local development.
+ *          Other stores (e.g. Redis) can be plugged in through
+ *          createApp(..., { rateLimitStore }) by implementing increment/decrement/resetKey
+ */
+
+const techConfig = require('../config/technical.config');
+const { getClient } = require('./database.service');
+const { logDatabaseOperation } = require('./logger.service');
+
+// Prisma unique constraint violation (counter inserted by a concurrent request)
+const UNIQUE_VIOLATION = 'P2002';
+
+// Attempts to count a hit while other instances keep resetting or creating the counter
+const MAX_INCREMENT_ATTEMPTS = 3;
+
+class DatabaseRateLimitStore {
+  constructor() {
+    this.lastSweepAt = 0;
+  }
+
+  /**
+   * Count a hit, starting a new window when the previous one has run out
+   * @param {string} key - Counter key (policy and caller)
+   * @param {number} windowMs - Window length of the policy
+   * @returns {Promise<Object>} { totalHits, resetTime } of the current window
+   */
+  async increment(key, windowMs) {
+    const client = await getClient();
+    const startTime = Date.now();
+
+    await this._sweep(client);
+
+    for (let attempt = 1; ; attempt++) {
+      const now = new Date();
+
+      // Each step is a single conditional statement, so concurrent hits are never lost
+      const counted =
+        (await client.rateLimitCounter.updateMany({
+          where: { counterKey: key, resetAt: { gt: now } },
+          data: { hits: { increment: 1 } }
+        })).count === 1 ||
+        (await client.rateLimitCounter.updateMany({
+          where: { counterKey: key, resetAt: { lte: now } },
+          data: { hits: 1, resetAt: new Date(now.getTime() + windowMs) }
+        })).count === 1 ||
+        await this._create(client, key, new Date(now.getTime() + windowMs));
+
+      if (counted) {
+        break;
+      }
+      if (attempt === MAX_INCREMENT_ATTEMPTS) {
+        throw new Error(`Rate limit counter '${key}' could not be incremented`);
+      }
+    }
+
+    const counter = await client.rateLimitCounter.findUnique({ where: { counterKey: key } });
+
+    logDatabaseOperation('UPSERT-RATE-LIMIT', 'rateLimitCounter', Date.now() - startTime, null, 'rate-limit-store');
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  /**
+   * Take back a counted hit
+   * @param {string} key - Counter key
+   */
+  async decrement(key) {
+    const client = await getClient();
+
+    await client.rateLimitCounter.updateMany({
+      where: { counterKey: key, hits: { gt: 0 } },
+      data: { hits: { decrement: 1 } }
+    });
+  }
+
+  /**
+   * Drop a counter, e.g. to lift a limit early
+   * @param {string} key - Counter key
+   */
+  async resetKey(key) {
+    const client = await getClient();
+
+    await client.rateLimitCounter.deleteMany({ where: { counterKey: key } });
+  }
+
+  /**
+   * Insert the first counter of a key
+   * @private
+   * @returns {Promise<boolean>} False when a concurrent request inserted it first
+   */
+  async _create(client, key, resetAt) {
+    try {
+      await client.rateLimitCounter.create({ data: { counterKey: key, hits: 1, resetAt } });
+      return true;
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION) {
+        throw error;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Delete counters whose window has run out, at most once per sweep interval
+   * @private
+   */
+  async _sweep(client) {
+    if (Date.now() - this.lastSweepAt < techConfig.rateLimit.sweepIntervalMs) {
+      return;
+    }
+
+    this.lastSweepAt = Date.now();
+    const startTime = Date.now();
+
+    await client.rateLimitCounter.deleteMany({ where: { resetAt: { lte: new Date() } } });
+
+    logDatabaseOperation('DELETE-RATE-LIMIT', 'rateLimitCounter', Date.now() - startTime, null, 'rate-limit-store');
+  }
+}
+
+// Same contract as DatabaseRateLimitStore, counters held in process memory
+class MemoryRateLimitStore {
+  constructor() {
+    this.counters = new Map();
+    this.lastSweepAt = 0;
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this._sweep(now);
+
+    const counter = this.counters.get(key);
+    if (counter && counter.resetAt.getTime() > now) {
+      counter.hits++;
+      return { totalHits: counter.hits, resetTime: counter.resetAt };
+    }
+
+    const fresh = { hits: 1, resetAt: new Date(now + windowMs) };
+    this.counters.set(key, fresh);
+    return { totalHits: fresh.hits, resetTime: fresh.resetAt };
+  }
+
+  async decrement(key) {
+    const counter = this.counters.get(key);
+
+    if (counter && counter.hits > 0) {
+      counter.hits--;
+    }
+  }
+
+  async resetKey(key) {
+    this.counters.delete(key);
+  }
+
+  /**
+   * Drop counters whose window has run out, at most once per sweep interval
+   * @private
+   */
+  _sweep(now) {
+    if (now - this.lastSweepAt < techConfig.rateLimit.sweepIntervalMs) {
+      return;
+    }
+
+    this.lastSweepAt = now;
+    this.counters.forEach((counter, key) => {
+      if (counter.resetAt.getTime() <= now) {
+        this.counters.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = {
+  createDatabaseRateLimitStore: () => new DatabaseRateLimitStore(),
+  createMemoryRateLimitStore: () => new MemoryRateLimitStore()
+};
@@ -5,11 +5,31 @@
  * 
  * Purpose: Generic CRUD repository factory for all Prisma entities
  *          Eliminates duplicate CRUD code across domain models
+ *          Bulk createMany/updateMany/upsert/deleteMany report results per item
+ *          Writes to audited entities are recorded through the audit service,
+ *          and cached responses built from the written rows are invalidated
+ *          Within a request, createdBy/updatedBy are stamped from the authenticated
+ *          caller in the request context; values sent in data are overwritten
  */
 
 const AppError = require('./app-error');
+const { isAudited, record } = require('./audit.service');
+const { invalidateRows } = require('./response-cache.service');
+const { getContext } = require('./request-context.service');
+const { resolvePerPage, paginate } = require('./pagination.service');
 const { getLogger, logDatabaseOperation } = require('./logger.service');
 
+// Entities without createdBy/updatedBy columns
+const UNSTAMPED_ENTITIES = ['auditLog'];
+
+// Business identifiers used by upsert when no keyFields are given
+const NATURAL_KEYS = {
+  customer: ['referenceNumber'],
+  account: ['customerId', 'accountNumber'],
+  user: ['auth0ReferenceId'],
+  userHasAccount: ['userId', 'accountId']
+};
+
 class RepositoryFactory {
   constructor() {
     this.repositories = new Map();
@@ -51,6 +71,7 @@ class GenericRepository {
     this.entityName = entityName;
     this.logger = getLogger(`repository-${entityName}`);
     this.primaryKeyField = this._getPrimaryKeyField(entityName);
+    this.naturalKeyFields = NATURAL_KEYS[entityName] || null;
   }
 
   /**
@@ -65,7 +86,8 @@ _getPrimaryKeyField(entityName) {
     'customer': 'customerId',     // ✅ Matches schema
     'account': 'accountId',       // ✅ Matches schema  
     'user': 'userId',             // ✅ Matches schema
-    'userHasAccount': 'userHasAccountId'  // ✅ Matches schema
+    'userHasAccount': 'userHasAccountId',  // ✅ Matches schema
+    'auditLog': 'auditLogId'
   };
   
   return primaryKeyMap[entityName] || 'id';
@@ -116,12 +138,12 @@ _getPrimaryKeyField(entityName) {
     }
 
     const startTime = Date.now();
+    let entity;
 
     try {
-      const entity = await client[this.entityName].create({ data });
+      entity = await client[this.entityName].create({ data: this._stampActor(data, 'createdBy') });
 
       logDatabaseOperation('INSERT', this.entityName, Date.now() - startTime, requestId, `repository-${this.entityName}`);
-      return entity;
 
     } catch (error) {
       this.logger.error('Failed to create entity', {
@@ -132,6 +154,9 @@ _getPrimaryKeyField(entityName) {
       });
       throw AppError.databaseError(`create ${this.entityName}`, error);
     }
+
+    await this._audit(null, entity, client);
+    return entity;
   }
 
   /**
@@ -140,29 +165,48 @@ _getPrimaryKeyField(entityName) {
    * @param {Object} data - Update data
    * @param {PrismaClient} client - Prisma client or transaction
    * @param {string} requestId - Request correlation ID
+   * @param {Object} options - Update options
+   * @param {Date} options.expectedVersion - Optimistic concurrency check: only update
+   *                                         if the row version (updatedAt, or createdAt
+   *                                         when never updated) still equals this value
    * @returns {Promise<Object>} Updated entity
    */
-  async updateById(id, data, client, requestId = null) {
+  async updateById(id, data, client, requestId = null, options = {}) {
     if (!id || !data || !client) {
       throw AppError.validationError('updateData', data, 'ID, data, and client are required');
     }
 
     const startTime = Date.now();
+    const { expectedVersion = null } = options;
+    let before = null;
+    let entity;
 
     try {
       const whereClause = { [this.primaryKeyField]: id };
-      const updateData = { ...data, updatedAt: new Date() };
+      if (isAudited(this.entityName)) {
+        before = await client[this.entityName].findUnique({ where: { [this.primaryKeyField]: id } });
+      }
+      if (expectedVersion) {
+        whereClause.OR = [
+          { updatedAt: expectedVersion },
+          { updatedAt: null, createdAt: expectedVersion }
+        ];
+      }
+      const updateData = { ...this._stampActor(data, 'updatedBy'), updatedAt: new Date() };
       
-      const entity = await client[this.entityName].update({
+      entity = await client[this.entityName].update({
         where: whereClause,
         data: updateData
       });
 
       logDatabaseOperation('UPDATE', this.entityName, Date.now() - startTime, requestId, `repository-${this.entityName}`);
-      return entity;
 
     } catch (error) {
       if (error.code === 'P2025') {
+        // With a version check, a missing match means either a stale version or a missing row
+        if (expectedVersion && await this.findById(id, client, requestId)) {
+          throw AppError.preconditionFailed(this.entityName, id);
+        }
         throw AppError.notFound(this.entityName, id);
       }
 
@@ -174,6 +218,9 @@ _getPrimaryKeyField(entityName) {
       });
       throw AppError.databaseError(`update ${this.entityName}`, error);
     }
+
+    await this._audit(before, entity, client);
+    return entity;
   }
 
   /**
@@ -189,13 +236,13 @@ _getPrimaryKeyField(entityName) {
     }
 
     const startTime = Date.now();
+    let entity;
 
     try {
       const whereClause = { [this.primaryKeyField]: id };
-      const entity = await client[this.entityName].delete({ where: whereClause });
+      entity = await client[this.entityName].delete({ where: whereClause });
 
       logDatabaseOperation('DELETE', this.entityName, Date.now() - startTime, requestId, `repository-${this.entityName}`);
-      return entity;
 
     } catch (error) {
       if (error.code === 'P2025') {
@@ -210,15 +257,269 @@ _getPrimaryKeyField(entityName) {
       });
       throw AppError.databaseError(`delete ${this.entityName}`, error);
     }
+
+    await this._audit(entity, null, client);
+    return entity;
+  }
+
+  // ========================================
+  // BULK OPERATIONS
+  // ========================================
+
+  /**
+   * Create several entities in one statement
+   * RETURNING order is not guaranteed, so created rows are matched back to their items
+   * by natural key; items without a distinct key are inserted one by one instead
+   * @param {Array<Object>} items - Entity data per row
+   * @param {PrismaClient} client - Prisma client or transaction
+   * @param {string} requestId - Request correlation ID
+   * @param {Object} options - Create options
+   * @param {Array<string>} options.keyFields - Natural key (defaults to the entity's natural key)
+   * @returns {Promise<Object>} { count, results: [{ index, status: 'created', id }], data } in input order
+   */
+  async createMany(items, client, requestId = null, options = {}) {
+    this._assertItems(items, client);
+
+    if (items.length === 0) {
+      return { count: 0, results: [], data: [] };
+    }
+
+    const startTime = Date.now();
+    const keyFields = options.keyFields || this.naturalKeyFields;
+    const keys = keyFields && items.every(item => keyFields.every(field => item[field] !== undefined && item[field] !== null))
+      ? items.map(item => this._naturalKey(item, keyFields))
+      : null;
+    const matchByKey = keys !== null && new Set(keys).size === keys.length;
+
+    return this._withTransaction(client, async (tx) => {
+      const data = items.map(item => this._stampActor(item, 'createdBy'));
+      let entities;
+
+      try {
+        if (matchByKey) {
+          const created = await tx[this.entityName].createManyAndReturn({ data });
+          const createdByKey = new Map(created.map(entity => [this._naturalKey(entity, keyFields), entity]));
+          entities = keys.map(key => createdByKey.get(key));
+        } else {
+          entities = [];
+          for (const row of data) {
+            entities.push(await tx[this.entityName].create({ data: row }));
+          }
+        }
+
+        logDatabaseOperation('INSERT-BULK', this.entityName, Date.now() - startTime, requestId, `repository-${this.entityName}`);
+
+      } catch (error) {
+        this.logger.error('Failed to create entities', {
+          entityName: this.entityName,
+          itemCount: items.length,
+          requestId,
+          errorMessage: error.message,
+          errorCode: error.code
+        });
+        throw AppError.databaseError(`create many ${this.entityName}`, error);
+      }
+
+      await this._auditMany(entities.map(entity => [null, entity]), tx);
+
+      return {
+        count: entities.length,
+        results: entities.map((entity, index) => ({ index, status: 'created', id: entity[this.primaryKeyField] })),
+        data: entities
+      };
+    });
+  }
+
+  /**
+   * Apply the same change to every entity matching a filter
+   * @param {Object} where - Filter conditions (an empty filter is rejected)
+   * @param {Object} data - Update data
+   * @param {PrismaClient} client - Prisma client or transaction
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} { count, results: [{ id, status: 'updated' }] }
+   */
+  async updateMany(where, data, client, requestId = null) {
+    if (!where || Object.keys(where).length === 0 || !data || !client) {
+      throw AppError.validationError('where', where, 'Filter, data, and client are required');
+    }
+
+    const startTime = Date.now();
+
+    return this._withTransaction(client, async (tx) => {
+      const updateData = { ...this._stampActor(data, 'updatedBy'), updatedAt: new Date() };
+      let beforeRows;
+
+      try {
+        // Matching rows are fixed first, so the update and the report cover the same set
+        beforeRows = await tx[this.entityName].findMany({ where });
+        const ids = beforeRows.map(row => row[this.primaryKeyField]);
+
+        if (ids.length > 0) {
+          await tx[this.entityName].updateMany({
+            where: { [this.primaryKeyField]: { in: ids } },
+            data: updateData
+          });
+        }
+
+        logDatabaseOperation('UPDATE-BULK', this.entityName, Date.now() - startTime, requestId, `repository-${this.entityName}`);
+
+      } catch (error) {
+        this.logger.error('Failed to update entities', {
+          entityName: this.entityName,
+          requestId,
+          errorMessage: error.message
+        });
+        throw AppError.databaseError(`update many ${this.entityName}`, error);
+      }
+
+      await this._auditMany(beforeRows.map(before => [before, { ...before, ...updateData }]), tx);
+
+      return {
+        count: beforeRows.length,
+        results: beforeRows.map(row => ({ id: row[this.primaryKeyField], status: 'updated' }))
+      };
+    });
+  }
+
+  /**
+   * Create or update entities by natural key (existing rows are looked up in one query)
+   * @param {Array<Object>} items - Entity data per row, each carrying the key fields
+   * @param {PrismaClient} client - Prisma client or transaction
+   * @param {string} requestId - Request correlation ID
+   * @param {Object} options - Upsert options
+   * @param {Array<string>} options.keyFields - Natural key (defaults to the entity's natural key)
+   * @returns {Promise<Object>} { created, updated, results: [{ index, status: 'created'|'updated', id }] } in input order
+   */
+  async upsert(items, client, requestId = null, options = {}) {
+    this._assertItems(items, client);
+
+    const keyFields = options.keyFields || this.naturalKeyFields;
+    if (!keyFields || keyFields.length === 0) {
+      throw AppError.validationError('keyFields', keyFields, `No natural key defined for ${this.entityName}`);
+    }
+
+    const keys = items.map((item, index) => this._naturalKey(item, keyFields, index));
+    const duplicateIndex = keys.findIndex((key, index) => keys.indexOf(key) !== index);
+    if (duplicateIndex !== -1) {
+      throw AppError.validationError(`items[${duplicateIndex}]`, items[duplicateIndex], `Duplicate natural key (${keyFields.join(', ')})`);
+    }
+
+    if (items.length === 0) {
+      return { created: 0, updated: 0, results: [] };
+    }
+
+    const startTime = Date.now();
+
+    return this._withTransaction(client, async (tx) => {
+      let existingRows;
+
+      try {
+        existingRows = await tx[this.entityName].findMany({
+          where: { OR: items.map(item => Object.fromEntries(keyFields.map(field => [field, item[field]]))) }
+        });
+
+        logDatabaseOperation('SELECT-UPSERT', this.entityName, Date.now() - startTime, requestId, `repository-${this.entityName}`);
+
+      } catch (error) {
+        this.logger.error('Failed to look up entities by natural key', {
+          entityName: this.entityName,
+          keyFields,
+          requestId,
+          errorMessage: error.message
+        });
+        throw AppError.databaseError(`upsert ${this.entityName}`, error);
+      }
+
+      const existing = new Map(existingRows.map(row => [this._naturalKey(row, keyFields), row]));
+      const results = new Array(items.length);
+
+      // Each existing row gets its own values, so updates run one by one inside the transaction
+      for (const [index, item] of items.entries()) {
+        const row = existing.get(keys[index]);
+        if (row) {
+          const entity = await this.updateById(row[this.primaryKeyField], item, tx, requestId);
+          results[index] = { index, status: 'updated', id: entity[this.primaryKeyField] };
+        }
+      }
+
+      const newIndexes = items.map((item, index) => index).filter(index => !results[index]);
+      const { results: createdResults } = await this.createMany(newIndexes.map(index => items[index]), tx, requestId);
+      createdResults.forEach((result, position) => {
+        const index = newIndexes[position];
+        results[index] = { ...result, index };
+      });
+
+      return {
+        created: newIndexes.length,
+        updated: items.length - newIndexes.length,
+        results
+      };
+    });
+  }
+
+  /**
+   * Delete entities by primary key, reporting IDs that did not exist
+   * @param {Array<number|string>} ids - Primary key values
+   * @param {PrismaClient} client - Prisma client or transaction
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} { count, results: [{ id, status: 'deleted'|'not_found' }] } in input order
+   */
+  async deleteMany(ids, client, requestId = null) {
+    this._assertItems(ids, client);
+
+    if (ids.length === 0) {
+      return { count: 0, results: [] };
+    }
+
+    const startTime = Date.now();
+
+    return this._withTransaction(client, async (tx) => {
+      let entities;
+
+      try {
+        entities = await tx[this.entityName].findMany({
+          where: { [this.primaryKeyField]: { in: ids } }
+        });
+
+        if (entities.length > 0) {
+          await tx[this.entityName].deleteMany({
+            where: { [this.primaryKeyField]: { in: entities.map(entity => entity[this.primaryKeyField]) } }
+          });
+        }
+
+        logDatabaseOperation('DELETE-BULK', this.entityName, Date.now() - startTime, requestId, `repository-${this.entityName}`);
+
+      } catch (error) {
+        this.logger.error('Failed to delete entities', {
+          entityName: this.entityName,
+          idCount: ids.length,
+          requestId,
+          errorMessage: error.message
+        });
+        throw AppError.databaseError(`delete many ${this.entityName}`, error);
+      }
+
+      await this._auditMany(entities.map(entity => [entity, null]), tx);
+
+      const deletedIds = new Set(entities.map(entity => entity[this.primaryKeyField]));
+      return {
+        count: entities.length,
+        results: ids.map(id => ({ id, status: deletedIds.has(id) ? 'deleted' : 'not_found' }))
+      };
+    });
   }
 
   /**
    * Find all entities with pagination
+   * Cursor paging (options.cursor) reads by sort key and primary key and skips the count;
+   * page paging is kept as fallback and includes totalCount. Both return next/prev cursors
    * @param {Object} options - Query options
-   * @param {number} options.page - Page number (1-based)
-   * @param {number} options.limit - Records per page
+   * @param {string} options.cursor - Cursor from a previous page (nextCursor/prevCursor)
+   * @param {number} options.page - Page number (1-based), used without cursor
+   * @param {number} options.limit - Records per page (capped by pagination.maxPerPage)
    * @param {Object} options.where - Filter conditions
-   * @param {Object} options.orderBy - Sort conditions
+   * @param {Object|Array<Object>} options.orderBy - Sort conditions (primary key appended as tie breaker)
+   * @param {Object} options.select - Fields to return
    * @param {PrismaClient} client - Prisma client or transaction
    * @param {string} requestId - Request correlation ID
    * @returns {Promise<Object>} Paginated results with metadata
@@ -228,40 +529,51 @@ _getPrimaryKeyField(entityName) {
       throw AppError.validationError('client', client, 'Prisma client is required');
     }
 
-    const { page = 1, limit = 50, where = {}, orderBy = {} } = options;
-    const skip = (page - 1) * limit;
+    const { cursor = null, page = 1, where = {}, orderBy = [], select = null } = options;
+    const limit = resolvePerPage(options.limit);
     const startTime = Date.now();
 
     try {
-      const [entities, totalCount] = await Promise.all([
-        client[this.entityName].findMany({
+      const [result, totalCount] = await Promise.all([
+        paginate(client[this.entityName], {
           where,
-          skip,
-          take: limit,
-          orderBy
+          orderBy: this._withTieBreaker(orderBy),
+          select,
+          cursor,
+          page,
+          perPage: limit
         }),
-        client[this.entityName].count({ where })
+        cursor ? undefined : client[this.entityName].count({ where })
       ]);
 
-      logDatabaseOperation('SELECT-PAGINATED', this.entityName, Date.now() - startTime, requestId, `repository-${this.entityName}`);
+      logDatabaseOperation(cursor ? 'SELECT-KEYSET' : 'SELECT-PAGINATED', this.entityName, Date.now() - startTime, requestId, `repository-${this.entityName}`);
 
       return {
-        data: entities,
+        data: result.data,
         pagination: {
-          page,
+          ...(!cursor && {
+            page,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit)
+          }),
           limit,
-          totalCount,
-          totalPages: Math.ceil(totalCount / limit),
-          hasNext: page * limit < totalCount,
-          hasPrev: page > 1
+          hasNext: result.hasNext,
+          hasPrev: result.hasPrev,
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor
         }
       };
 
     } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
       this.logger.error('Failed to find all entities', {
         entityName: this.entityName,
         page,
         limit,
+        hasCursor: Boolean(cursor),
         requestId,
         errorMessage: error.message
       });
@@ -298,6 +610,88 @@ _getPrimaryKeyField(entityName) {
       throw AppError.databaseError(`count ${this.entityName}`, error);
     }
   }
+
+  /**
+   * Record before/after snapshot in the audit trail (same client, so same transaction)
+   * and invalidate cached responses built from the row
+   * @private
+   */
+  async _audit(before, after, client) {
+    await this._auditMany([[before, after]], client);
+  }
+
+  /**
+   * Record several before/after pairs in one audit write and invalidate their cached responses
+   * @private
+   */
+  async _auditMany(pairs, client) {
+    await record(
+      this.entityName,
+      pairs.map(([before, after]) => ({ entityId: (after || before)[this.primaryKeyField], before, after })),
+      client
+    );
+    await invalidateRows(this.entityName, pairs.flat());
+  }
+
+  /**
+   * Run bulk work in the caller's transaction, or open one when given the root client
+   * (interactive transaction clients have no $transaction)
+   * @private
+   */
+  async _withTransaction(client, fn) {
+    return typeof client.$transaction === 'function' ? client.$transaction(fn) : fn(client);
+  }
+
+  /**
+   * Check bulk input is an array and a client is given
+   * @private
+   */
+  _assertItems(items, client) {
+    if (!Array.isArray(items) || !client) {
+      throw AppError.validationError('items', items, 'Array of items and client are required');
+    }
+  }
+
+  /**
+   * Comparable natural key of a row
+   * @private
+   */
+  _naturalKey(row, keyFields, index = null) {
+    const values = keyFields.map(field => row[field]);
+
+    if (index !== null && values.some(value => value === undefined || value === null)) {
+      throw AppError.validationError(`items[${index}]`, row, `Natural key fields required: ${keyFields.join(', ')}`);
+    }
+
+    return JSON.stringify(values);
+  }
+
+  /**
+   * Sort list ending with the primary key, so every row has a unique position
+   * @private
+   */
+  _withTieBreaker(orderBy) {
+    const sort = [].concat(orderBy || []).filter(order => Object.keys(order).length > 0);
+
+    return sort.some(order => order[this.primaryKeyField] !== undefined)
+      ? sort
+      : [...sort, { [this.primaryKeyField]: 'asc' }];
+  }
+
+  /**
+   * Overwrite createdBy/updatedBy with the request caller; outside a request
+   * (scripts, startup) data is written as given
+   * @private
+   */
+  _stampActor(data, field) {
+    const context = getContext();
+
+    if (!context || UNSTAMPED_ENTITIES.includes(this.entityName)) {
+      return data;
+    }
+
+    return { ...data, [field]: context.actorId };
+  }
 }
 
 // Export singleton factory instance
@@ -0,0 +1,85 @@
+/**
+ * Request Context Service
+ * File: /common/services/request-context.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Per-request context (request ID and authenticated caller) carried
+ *          through async calls with AsyncLocalStorage, so repositories, audit
+ *          and loggers read it without it being passed down every signature.
+ *          The app factory opens the context per request, the auth middleware
+ *          fills in the caller once the token is verified
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+class RequestContextService {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run function inside a new context
+   * @param {Object} context - Initial values ({ requestId, actorId })
+   * @param {Function} fn - Function to run
+   * @returns {*} Function result
+   */
+  run(context, fn) {
+    return this.storage.run({ requestId: null, actorId: null, ...context }, fn);
+  }
+
+  /**
+   * Current context, null outside of a request (startup, scripts)
+   * @returns {Object|null} { requestId, actorId }
+   */
+  getContext() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Request ID of the current context
+   * @returns {string|null} Request correlation ID
+   */
+  getRequestId() {
+    return this.getContext()?.requestId ?? null;
+  }
+
+  /**
+   * Authenticated caller of the current context
+   * @returns {number|null} User ID
+   */
+  getActorId() {
+    return this.getContext()?.actorId ?? null;
+  }
+
+  /**
+   * Record the authenticated caller on the current context
+   * @param {number} actorId - User ID
+   */
+  setActor(actorId) {
+    const context = this.getContext();
+
+    if (context) {
+      context.actorId = actorId;
+    }
+  }
+
+  /**
+   * Create middleware opening the context for each request (after request ID assignment)
+   * @returns {Function} Express middleware
+   */
+  createMiddleware() {
+    return (req, res, next) => this.run({ requestId: req.requestId || null }, next);
+  }
+}
+
+// Export singleton instance
+const requestContextService = new RequestContextService();
+
+module.exports = {
+  run: (context, fn) => requestContextService.run(context, fn),
+  getContext: () => requestContextService.getContext(),
+  getRequestId: () => requestContextService.getRequestId(),
+  getActorId: () => requestContextService.getActorId(),
+  setActor: (actorId) => requestContextService.setActor(actorId),
+  createRequestContextMiddleware: () => requestContextService.createMiddleware()
+};
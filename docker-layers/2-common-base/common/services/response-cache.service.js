@@ -0,0 +1,276 @@
+/**
+ * Response Cache Service
+ * File: /common/services/response-cache.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Read-through cache for read-heavy query results (field variant endpoints).
+ *          Entries are tagged with the customer/account/user IDs they were built from
+ *          ('customerId:5'); GenericRepository and soft delete writes invalidate the
+ *          tags of every row they touch. Tags written recently are not cached again
+ *          until the settle window passes, so a read racing an uncommitted transaction
+ *          cannot store stale rows. The default store is an in-process LRU; external
+ *          stores plug in through createApp(..., { cacheStore }) by implementing
+ *          get/set/invalidateTags/clear (and optionally getStats)
+ */
+
+const techConfig = require('../config/technical.config');
+const { getLogger, debugSafe } = require('./logger.service');
+
+class MemoryLruStore {
+  /**
+   * @param {number} maxEntries - Entries kept before the least recently used is evicted
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();      // Insertion order = recency order (oldest first)
+    this.tagIndex = new Map();     // tag -> Set of keys
+    this.evictions = 0;
+  }
+
+  /**
+   * Read entry and mark it most recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value, undefined when missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this._remove(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store entry, evicting the least recently used ones over capacity
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {Object} options - { ttlMs, tags }
+   */
+  async set(key, value, { ttlMs, tags = [] }) {
+    this._remove(key);
+    this.entries.set(key, { value, tags, expiresAt: Date.now() + ttlMs });
+    tags.forEach(tag => {
+      if (!this.tagIndex.has(tag)) {
+        this.tagIndex.set(tag, new Set());
+      }
+      this.tagIndex.get(tag).add(key);
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this._remove(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Drop every entry carrying one of the tags
+   * @param {Array<string>} tags - Tags to invalidate
+   * @returns {Promise<number>} Entries removed
+   */
+  async invalidateTags(tags) {
+    const keys = new Set(tags.flatMap(tag => [...(this.tagIndex.get(tag) || [])]));
+    keys.forEach(key => this._remove(key));
+    return keys.size;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.tagIndex.clear();
+  }
+
+  getStats() {
+    return { size: this.entries.size, maxEntries: this.maxEntries, evictions: this.evictions };
+  }
+
+  /**
+   * Remove entry and its tag index references
+   * @private
+   */
+  _remove(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return;
+    }
+
+    this.entries.delete(key);
+    entry.tags.forEach(tag => {
+      const keys = this.tagIndex.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.tagIndex.delete(tag);
+      }
+    });
+  }
+}
+
+class ResponseCacheService {
+  constructor() {
+    this.logger = getLogger('response-cache');
+    this.rules = techConfig.responseCache;
+    this.store = new MemoryLruStore(this.rules.maxEntries);
+    this.recentlyWritten = new Map();   // tag -> settle deadline
+    this.stats = { hits: 0, misses: 0, sets: 0, skipped: 0, invalidations: 0, invalidatedEntries: 0, errors: 0 };
+  }
+
+  /**
+   * Replace the store (external cache shared by all instances)
+   * @param {Object} store - Store implementing get/set/invalidateTags/clear
+   */
+  setStore(store) {
+    if (!store || ['get', 'set', 'invalidateTags', 'clear'].some(method => typeof store[method] !== 'function')) {
+      throw new Error('Cache store must implement get, set, invalidateTags and clear');
+    }
+
+    this.store = store;
+  }
+
+  /**
+   * Return cached value or load and cache it
+   * @param {string} key - Cache key (route, variant and tenant)
+   * @param {Function} loader - async () => { value, tags } with the tags the value was built from
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<*>} Cached or loaded value
+   */
+  async getOrLoad(key, loader, requestId = null) {
+    if (!this.rules.enabled) {
+      return (await loader()).value;
+    }
+
+    const cached = await this._safely('get', () => this.store.get(key));
+    if (cached !== undefined) {
+      this.stats.hits++;
+      debugSafe('Response cache hit', { key, requestId }, 'response-cache');
+      return cached;
+    }
+
+    this.stats.misses++;
+    const { value, tags } = await loader();
+
+    if (this._isSettled(tags)) {
+      await this._safely('set', () => this.store.set(key, value, { ttlMs: this.rules.ttlMs, tags }));
+      this.stats.sets++;
+    } else {
+      this.stats.skipped++;
+    }
+
+    return value;
+  }
+
+  /**
+   * Invalidate entries built from written rows
+   * @param {string} entityName - Prisma model name (camelCase)
+   * @param {Array<Object>} rows - Written rows (before and/or after snapshots)
+   * @returns {Promise<number>} Entries removed
+   */
+  async invalidateRows(entityName, rows) {
+    if (!this.rules.enabled) {
+      return 0;
+    }
+
+    const tags = [...new Set(rows.filter(Boolean).flatMap(row => this.tagsOf(row)))];
+    if (tags.length === 0) {
+      return 0;
+    }
+
+    const settleUntil = Date.now() + this.rules.settleMs;
+    tags.forEach(tag => this.recentlyWritten.set(tag, settleUntil));
+
+    const removed = await this._safely('invalidate', () => this.store.invalidateTags(tags)) || 0;
+    this.stats.invalidations++;
+    this.stats.invalidatedEntries += removed;
+
+    debugSafe('Response cache invalidated', { entityName, tags, removed }, 'response-cache');
+
+    return removed;
+  }
+
+  /**
+   * Tags of a row ('customerId:5', 'accountId:12', ...) from the configured tag fields
+   * @param {Object} row - Entity row or query result with camelCase fields
+   * @returns {Array<string>} Tags
+   */
+  tagsOf(row) {
+    return this.rules.tagFields
+      .filter(field => row[field] !== undefined && row[field] !== null)
+      .map(field => `${field}:${row[field]}`);
+  }
+
+  /**
+   * Hit/miss counters and store figures
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.rules.enabled,
+      ...this.stats,
+      hitRate: lookups === 0 ? 0 : Math.round((this.stats.hits / lookups) * 1000) / 1000,
+      ...(typeof this.store.getStats === 'function' && this.store.getStats())
+    };
+  }
+
+  /**
+   * Drop all entries and reset counters
+   */
+  async clear() {
+    await this.store.clear();
+    this.recentlyWritten.clear();
+    Object.keys(this.stats).forEach(stat => { this.stats[stat] = 0; });
+  }
+
+  /**
+   * No tag written within the settle window (expired deadlines are pruned)
+   * @private
+   */
+  _isSettled(tags) {
+    const now = Date.now();
+
+    this.recentlyWritten.forEach((deadline, tag) => {
+      if (deadline <= now) {
+        this.recentlyWritten.delete(tag);
+      }
+    });
+
+    return !tags.some(tag => this.recentlyWritten.has(tag));
+  }
+
+  /**
+   * Run store operation; store failures degrade to a cache miss instead of failing the request
+   * @private
+   */
+  async _safely(operation, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.warn('Response cache store operation failed', {
+        operation,
+        errorMessage: error.message
+      });
+      return undefined;
+    }
+  }
+}
+
+// Export singleton instance
+const responseCacheService = new ResponseCacheService();
+
+module.exports = {
+  getOrLoad: (key, loader, requestId) => responseCacheService.getOrLoad(key, loader, requestId),
+  invalidateRows: (entityName, rows) => responseCacheService.invalidateRows(entityName, rows),
+  tagsOf: (row) => responseCacheService.tagsOf(row),
+  getCacheStats: () => responseCacheService.getStats(),
+  clearCache: () => responseCacheService.clear(),
+  setCacheStore: (store) => responseCacheService.setStore(store),
+  createMemoryLruStore: (maxEntries) => new MemoryLruStore(maxEntries)
+};
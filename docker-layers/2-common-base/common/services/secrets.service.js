@@ -56,10 +56,11 @@ class SecretsService {
       throw AppError.validationError('secretName', secretName, 'Secret name is required');
     }
 
-    // Check cache first (unless force refresh)
-    if (!forceRefresh && this.secretCache.has(secretName)) {
+    // Check cache first (unless force refresh or expired)
+    const cached = this.secretCache.get(secretName);
+    if (!forceRefresh && cached && cached.expiryTime > Date.now()) {
       debugSafe('Retrieved secret from cache', { secretName, requestId }, 'secrets-service');
-      return this.secretCache.get(secretName);
+      return cached.value;
     }
 
     try {
@@ -0,0 +1,247 @@
+/**
+ * Soft Delete Service
+ * File: /common/services/soft-delete.service.js
+ * Version: 1.0.0
+ *
+ * Purpose: Status-based soft delete and restore with configurable cascading.
+ *          Flips the 3-letter status column between the active and deleted codes
+ *          from business config, stamping updatedBy/updatedAt with the request caller and
+ *          a single timestamp shared by the whole cascade. Restore uses that shared
+ *          timestamp to bring back exactly the rows removed by the same delete.
+ *          Every flipped row is recorded in the audit trail and invalidates
+ *          the cached responses built from it.
+ */
+
+const businessConfig = require('../config/business.config');
+const AppError = require('./app-error');
+const { getRepository } = require('./repository-factory-model.service');
+const { record } = require('./audit.service');
+const { invalidateRows } = require('./response-cache.service');
+const { getActorId, getRequestId } = require('./request-context.service');
+const { getLogger, logDatabaseOperation, debugSafe } = require('./logger.service');
+
+class SoftDeleteService {
+  constructor() {
+    this.logger = getLogger('soft-delete-service');
+    this.rules = businessConfig.softDelete;
+  }
+
+  /**
+   * Soft delete entity and cascade to its children
+   * @param {string} entityName - Prisma model name (camelCase)
+   * @param {number} id - Primary key value
+   * @param {PrismaClient} client - Prisma transaction (cascade must be atomic)
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Summary with deletedAt, cascaded row counts and the
+   *                            flipped child rows per entity (as read before the flip)
+   */
+  async softDelete(entityName, id, client, requestId = null) {
+    const { activeStatus, deletedStatus } = this.rules;
+    const entity = await this._findOrFail(entityName, id, client);
+
+    if (entity.status === deletedStatus) {
+      throw AppError.conflict(`${entityName} '${id}'`, 'is already deleted');
+    }
+
+    const deletedAt = new Date();
+    const stamp = { status: deletedStatus, updatedBy: getActorId(), updatedAt: deletedAt };
+
+    await this._updateRows(entityName, [id], stamp, client);
+
+    const { counts: cascaded, flipped } = await this._cascade(
+      entityName,
+      [id],
+      { status: activeStatus },
+      stamp,
+      client
+    );
+
+    this.logger.info('Entity soft deleted', {
+      entityName,
+      id,
+      requestId,
+      cascaded
+    });
+
+    return { entityName, id, status: deletedStatus, deletedAt, cascaded, flipped };
+  }
+
+  /**
+   * Restore soft-deleted entity and the children removed by the same delete
+   * @param {string} entityName - Prisma model name (camelCase)
+   * @param {number} id - Primary key value
+   * @param {PrismaClient} client - Prisma transaction (cascade must be atomic)
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Summary with restored row counts and the flipped
+   *                            child rows per entity (as read before the flip)
+   */
+  async restore(entityName, id, client, requestId = null) {
+    const { activeStatus, deletedStatus } = this.rules;
+    const entity = await this._findOrFail(entityName, id, client);
+
+    if (entity.status !== deletedStatus) {
+      throw AppError.conflict(`${entityName} '${id}'`, 'is not deleted');
+    }
+
+    await this._assertParentsActive(entityName, entity, client);
+
+    // Rows deleted by the same cascade share the parent's deletion timestamp
+    const deletedAt = entity.updatedAt;
+    const stamp = { status: activeStatus, updatedBy: getActorId(), updatedAt: new Date() };
+
+    await this._updateRows(entityName, [id], stamp, client);
+
+    const { counts: cascaded, flipped } = deletedAt
+      ? await this._cascade(
+        entityName,
+        [id],
+        { status: deletedStatus, updatedAt: deletedAt },
+        stamp,
+        client
+      )
+      : { counts: {}, flipped: {} };
+
+    this.logger.info('Entity restored', {
+      entityName,
+      id,
+      requestId,
+      cascaded
+    });
+
+    return { entityName, id, status: activeStatus, restoredAt: stamp.updatedAt, cascaded, flipped };
+  }
+
+  /**
+   * Walk cascade rules breadth-first, flipping matching children level by level
+   * @private
+   * @param {string} entityName - Entity whose children are processed
+   * @param {Array<number>} ids - Parent IDs of the current level
+   * @param {Object} childFilter - Extra where conditions selecting children to flip
+   * @param {Object} stamp - Column values written to each child
+   * @param {PrismaClient} client - Prisma transaction
+   * @returns {Promise<Object>} { counts, flipped }: row counts and flipped rows per entity
+   */
+  async _cascade(entityName, ids, childFilter, stamp, client) {
+    const counts = {};
+    const flipped = {};
+    const queue = [{ entityName, ids }];
+
+    while (queue.length > 0) {
+      const level = queue.shift();
+      const rules = this.rules.cascade[level.entityName] || [];
+
+      for (const rule of rules) {
+        const childKey = getRepository(rule.entity).primaryKeyField;
+        const children = await client[rule.entity].findMany({
+          where: { [rule.foreignKey]: { in: level.ids }, ...childFilter },
+          select: { [childKey]: true }
+        });
+
+        if (children.length === 0) {
+          continue;
+        }
+
+        const childIds = children.map(child => child[childKey]);
+        const childRows = await this._updateRows(rule.entity, childIds, stamp, client);
+
+        counts[rule.entity] = (counts[rule.entity] || 0) + childIds.length;
+        flipped[rule.entity] = [...(flipped[rule.entity] || []), ...childRows];
+        queue.push({ entityName: rule.entity, ids: childIds });
+      }
+    }
+
+    return { counts, flipped };
+  }
+
+  /**
+   * Refuse restore while a configured parent is still deleted
+   * @private
+   */
+  async _assertParentsActive(entityName, entity, client) {
+    const parents = this.rules.parents[entityName] || [];
+
+    for (const parentRule of parents) {
+      const parentId = entity[parentRule.foreignKey];
+      if (parentId === null || parentId === undefined) {
+        continue;
+      }
+
+      const parent = await getRepository(parentRule.entity).findById(parentId, client);
+      if (parent && parent.status === this.rules.deletedStatus) {
+        throw AppError.conflict(
+          `${entityName} '${entity[getRepository(entityName).primaryKeyField]}'`,
+          `cannot be restored while ${parentRule.entity} '${parentId}' is deleted`
+        );
+      }
+    }
+  }
+
+  /**
+   * Load entity or throw not found
+   * @private
+   */
+  async _findOrFail(entityName, id, client) {
+    const entity = await getRepository(entityName).findById(id, client);
+
+    if (!entity) {
+      throw AppError.notFound(entityName, id);
+    }
+
+    return entity;
+  }
+
+  /**
+   * Write stamp to rows by primary key, audit the flipped rows and invalidate their cached responses
+   * @private
+   * @returns {Promise<Array<Object>>} Rows as read before the update
+   */
+  async _updateRows(entityName, ids, stamp, client) {
+    const startTime = Date.now();
+    const primaryKeyField = getRepository(entityName).primaryKeyField;
+    let beforeRows;
+
+    try {
+      beforeRows = await client[entityName].findMany({
+        where: { [primaryKeyField]: { in: ids } }
+      });
+
+      await client[entityName].updateMany({
+        where: { [primaryKeyField]: { in: ids } },
+        data: stamp
+      });
+
+      logDatabaseOperation('UPDATE-STATUS', entityName, Date.now() - startTime, getRequestId(), 'soft-delete-service');
+
+      debugSafe('Entity status updated', {
+      entityName,
+      rowCount: ids.length,
+      status: stamp.status
+      }, 'soft-delete-service');
+
+    } catch (error) {
+      this.logger.error('Failed to update entity status', {
+        entityName,
+        rowCount: ids.length,
+        errorMessage: error.message
+      });
+      throw AppError.databaseError(`soft delete ${entityName}`, error);
+    }
+
+    await record(
+      entityName,
+      beforeRows.map(before => ({ entityId: before[primaryKeyField], before, after: { ...before, ...stamp } })),
+      client
+    );
+    await invalidateRows(entityName, beforeRows);
+
+    return beforeRows;
+  }
+}
+
+// Export singleton instance
+const softDeleteService = new SoftDeleteService();
+
+module.exports = {
+  softDelete: (entityName, id, client, requestId) => softDeleteService.softDelete(entityName, id, client, requestId),
+  restore: (entityName, id, client, requestId) => softDeleteService.restore(entityName, id, client, requestId)
+};
@@ -9,6 +9,7 @@
 
 const { createApp, startServer } = require('../../2-common-base/common/services/app-factory.service');
 const CustomerRoutes = require('./customer.routes');
+const packageJson = require('./package.json');
 const { getLogger } = require('../../2-common-base/common/services/logger.service');
 
 class CustomerServiceApplication {
@@ -26,7 +27,7 @@ class CustomerServiceApplication {
       this.logger.info('Starting customer service application');
 
       // Create Express app using factory
-      const app = await createApp(this.serviceName, CustomerRoutes);
+      const app = await createApp(this.serviceName, CustomerRoutes, { version: packageJson.version });
 
       // Start HTTP server
       await startServer(app, this.serviceName);
@@ -13,6 +13,8 @@ const CustomerService = require('./customer.service');
 // ✅ FIXED: Correct paths to common-base layer
 const AppError = require('../../2-common-base/common/services/app-error');
 const { createRequestLogger } = require('../../2-common-base/common/services/logger.service');
+const { isNotModified } = require('../../2-common-base/common/services/entity-tag.service');
+const { parseListQuery } = require('../../2-common-base/common/services/list-query.service');
 
 class CustomerController {
   constructor() {
@@ -35,34 +37,626 @@ class CustomerController {
         bodyFields: Object.keys(req.body || {})
       });
 
-      // Validate required fields
-      const { customerName, customerClass, status, referenceNumber } = req.body || {};
-      
-      if (!customerName || !customerClass || !status || !referenceNumber) {
-        throw AppError.validationError(
-          'customerData',
-          req.body,
-          'Required fields: customerName, customerClass, status, referenceNumber'
+      // Body fields are checked against the POST /customers schema (customer.schemas.js)
+      const customer = await this.customerService.createCustomer(req.body, requestId);
+
+      logger.info('Customer created successfully', {
+        customerId: customer.customerId,
+        customerName: customer.customerName
+      });
+
+      res.status(201).json({
+        success: true,
+        data: customer,
+        message: 'Customer created successfully',
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'create customer');
+    }
+  }
+
+  /**
+   * Import customers with accounts and users from JSON or CSV (dryRun=true only validates)
+   */
+  async importCustomers(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const format = req.is('text/csv') ? 'csv' : req.is('application/json') ? 'json' : null;
+
+      if (!format) {
+        throw new AppError(
+          'Import requires Content-Type application/json or text/csv',
+          415,
+          'UNSUPPORTED_MEDIA_TYPE',
+          true,
+          { contentType: req.get('Content-Type') }
+        );
+      }
+
+      const dryRun = req.query.dryRun === 'true';
+
+      logger.info('Import customers request received', {
+        format,
+        dryRun
+      });
+
+      const result = await this.customerService.importCustomers(req.body, format, dryRun, requestId);
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        data: result,
+        message: dryRun ? 'Import validated (dry run)' : 'Customers imported successfully',
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'import customers');
+    }
+  }
+
+  /**
+   * List customers with search, filters, sorting and cursor pagination
+   */
+  async listCustomers(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const variant = req.query.variant || 'summary';
+
+      // Extract pagination parameters; a cursor from a previous page replaces page
+      const page = parseInt(req.query.page) || 1;
+      const perPage = parseInt(req.query.perPage) || 50;
+      const cursor = req.query.cursor;
+
+      if (!['header', 'summary', 'detail'].includes(variant)) {
+        throw AppError.validationError('variant', variant, 'Valid variant required: header, summary, detail');
+      }
+
+      let soldBySalespersonId;
+      if (req.query.soldBySalespersonId !== undefined) {
+        soldBySalespersonId = parseInt(req.query.soldBySalespersonId);
+        if (isNaN(soldBySalespersonId) || soldBySalespersonId <= 0) {
+          throw AppError.validationError('soldBySalespersonId', req.query.soldBySalespersonId, 'Valid salesperson ID is required');
+        }
+      }
+
+      const filters = {
+        customerClass: req.query.customerClass,
+        status: req.query.status,
+        soldBySalespersonId,
+        customerId: req.tenantScope ?? undefined   // Customer users only list their own customer
+      };
+
+      logger.info('Listing customers', {
+        variant,
+        perPage,
+        sort: req.query.sort,
+        hasFilters: Object.values(filters).some(filter => filter !== undefined)
+      });
+
+      const result = await this.customerService.listCustomers(
+        {
+          search: req.query.search,
+          sort: req.query.sort,
+          cursor,
+          page,
+          perPage,
+          variant
+        },
+        filters,
+        requestId
+      );
+
+      res.json({
+        success: true,
+        data: result.data,
+        variant,
+        pagination: this._paginationMeta({ page, perPage, cursor }, result),
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'list customers');
+    }
+  }
+
+  /**
+   * Get customer with account tree, user counts and primary contacts
+   * Use include=accounts,userCounts,primaryContacts to pick expanded parts (default: all)
+   */
+  async getCustomerById(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const customerId = parseInt(req.params.id);
+
+      if (!customerId || isNaN(customerId)) {
+        throw AppError.validationError('customerId', req.params.id, 'Valid customer ID is required');
+      }
+
+      const include = req.query.include !== undefined
+        ? String(req.query.include).split(',').map(part => part.trim()).filter(Boolean)
+        : undefined;
+
+      // Cheap version check first; the ETag also serves If-Match on PUT/PATCH
+      const validators = await this.customerService.getCustomerValidators(customerId, include, req.accountScope, requestId);
+      if (this._respondIfNotModified(req, res, validators)) {
+        return;
+      }
+
+      const customer = await this.customerService.getCustomerById(customerId, include, req.accountScope, requestId);
+
+      logger.debugSafe('Customer aggregate retrieved', {
+        customerId,
+        include
+      });
+
+      res.json({
+        success: true,
+        data: customer,
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'get customer by ID');
+    }
+  }
+
+  /**
+   * Replace customer (PUT) guarded by If-Match version token
+   */
+  async updateCustomer(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const customerId = parseInt(req.params.id);
+
+      if (!customerId || isNaN(customerId)) {
+        throw AppError.validationError('customerId', req.params.id, 'Valid customer ID is required');
+      }
+
+      logger.info('Replace customer request received', {
+        customerId,
+        bodyFields: Object.keys(req.body || {})
+      });
+
+      const customer = await this.customerService.replaceCustomer(
+        customerId,
+        req.body,
+        req.get('If-Match'),
+        requestId
+      );
+
+      this._setEntityTag(res, await this.customerService.getCustomerValidators(customerId, undefined, req.accountScope, requestId));
+
+      res.json({
+        success: true,
+        data: customer,
+        message: 'Customer updated successfully',
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'update customer');
+    }
+  }
+
+  /**
+   * Partially update customer (PATCH, JSON Merge Patch) guarded by If-Match version token
+   */
+  async patchCustomer(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const customerId = parseInt(req.params.id);
+
+      if (!customerId || isNaN(customerId)) {
+        throw AppError.validationError('customerId', req.params.id, 'Valid customer ID is required');
+      }
+
+      if (!req.is(['application/merge-patch+json', 'application/json'])) {
+        throw new AppError(
+          'PATCH requires Content-Type application/merge-patch+json',
+          415,
+          'UNSUPPORTED_MEDIA_TYPE',
+          true,
+          { contentType: req.get('Content-Type') }
         );
       }
 
-      // Call service layer
-      const customer = await this.customerService.createCustomer(req.body, requestId);
+      logger.info('Patch customer request received', {
+        customerId,
+        bodyFields: Object.keys(req.body || {})
+      });
+
+      const customer = await this.customerService.patchCustomer(
+        customerId,
+        req.body,
+        req.get('If-Match'),
+        requestId
+      );
+
+      this._setEntityTag(res, await this.customerService.getCustomerValidators(customerId, undefined, req.accountScope, requestId));
+
+      res.json({
+        success: true,
+        data: customer,
+        message: 'Customer updated successfully',
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'patch customer');
+    }
+  }
+
+  /**
+   * Soft delete customer with its accounts, users and assignments
+   */
+  async deleteCustomer(req, res) {
+    return this._handleSoftDelete(req, res, 'customer', 'delete');
+  }
+
+  /**
+   * Restore soft-deleted customer
+   */
+  async restoreCustomer(req, res) {
+    return this._handleSoftDelete(req, res, 'customer', 'restore');
+  }
+
+  /**
+   * Soft delete account with its child accounts and user assignments
+   */
+  async deleteAccount(req, res) {
+    return this._handleSoftDelete(req, res, 'account', 'delete');
+  }
+
+  /**
+   * Restore soft-deleted account
+   */
+  async restoreAccount(req, res) {
+    return this._handleSoftDelete(req, res, 'account', 'restore');
+  }
+
+  /**
+   * Soft delete user with its account assignments
+   */
+  async deleteUser(req, res) {
+    return this._handleSoftDelete(req, res, 'user', 'delete');
+  }
+
+  /**
+   * Restore soft-deleted user
+   */
+  async restoreUser(req, res) {
+    return this._handleSoftDelete(req, res, 'user', 'restore');
+  }
+
+  /**
+   * Audit history of a customer with its accounts, users and assignments
+   */
+  async getCustomerHistory(req, res) {
+    return this._handleHistory(req, res, 'customer');
+  }
+
+  /**
+   * Audit history of an account with its user assignments
+   */
+  async getAccountHistory(req, res) {
+    return this._handleHistory(req, res, 'account');
+  }
+
+  /**
+   * Create account under a customer, optionally below a parent account
+   */
+  async createAccount(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      logger.info('Create account request received', {
+        bodyFields: Object.keys(req.body || {})
+      });
+
+      const account = await this.customerService.createAccount(req.body, req.accountScope, requestId);
+
+      this._setEntityTag(res, await this.customerService.getAccountValidators(account.accountId, requestId));
+      res.location(`${req.baseUrl}/accounts/${account.accountId}`);
+
+      res.status(201).json({
+        success: true,
+        data: account,
+        message: 'Account created successfully',
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'create account');
+    }
+  }
+
+  /**
+   * Get account with its parent and children, answering conditional GETs with 304
+   */
+  async getAccountById(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const accountId = parseInt(req.params.id);
+
+      if (!accountId || isNaN(accountId)) {
+        throw AppError.validationError('accountId', req.params.id, 'Valid account ID is required');
+      }
+
+      // Cheap version check first; the ETag also serves If-Match on PUT
+      const validators = await this.customerService.getAccountValidators(accountId, requestId);
+      if (this._respondIfNotModified(req, res, validators)) {
+        return;
+      }
+
+      const account = await this.customerService.getAccountById(accountId, requestId);
+
+      logger.debugSafe('Account retrieved', { accountId });
+
+      res.json({
+        success: true,
+        data: account,
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'get account by ID');
+    }
+  }
+
+  /**
+   * Replace account (PUT) guarded by optional If-Match version token
+   */
+  async updateAccount(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const accountId = parseInt(req.params.id);
+
+      if (!accountId || isNaN(accountId)) {
+        throw AppError.validationError('accountId', req.params.id, 'Valid account ID is required');
+      }
+
+      logger.info('Replace account request received', {
+        accountId,
+        bodyFields: Object.keys(req.body || {})
+      });
+
+      const account = await this.customerService.replaceAccount(
+        accountId,
+        req.body,
+        req.get('If-Match'),
+        req.accountScope,
+        requestId
+      );
+
+      this._setEntityTag(res, await this.customerService.getAccountValidators(accountId, requestId));
+
+      res.json({
+        success: true,
+        data: account,
+        message: 'Account updated successfully',
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'update account');
+    }
+  }
+
+  /**
+   * Create user linked to an Auth0 identity
+   */
+  async createUser(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      logger.info('Create user request received', {
+        bodyFields: Object.keys(req.body || {})
+      });
+
+      const user = await this.customerService.createUser(req.body, req.principal, requestId);
+
+      this._setEntityTag(res, await this.customerService.getUserValidators(user.userId, requestId));
+      res.location(`${req.baseUrl}/users/${user.userId}`);
+
+      res.status(201).json({
+        success: true,
+        data: user,
+        message: 'User created successfully',
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'create user');
+    }
+  }
+
+  /**
+   * Get user with active account assignments, answering conditional GETs with 304
+   */
+  async getUserById(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const userId = parseInt(req.params.id);
+
+      if (!userId || isNaN(userId)) {
+        throw AppError.validationError('userId', req.params.id, 'Valid user ID is required');
+      }
+
+      // Cheap version check first; the ETag also serves If-Match on PUT
+      const validators = await this.customerService.getUserValidators(userId, requestId);
+      if (this._respondIfNotModified(req, res, validators)) {
+        return;
+      }
 
-      logger.info('Customer created successfully', {
-        customerId: customer.customerId,
-        customerName: customer.customerName
+      const user = await this.customerService.getUserById(userId, requestId);
+
+      logger.debugSafe('User retrieved', { userId });
+
+      res.json({
+        success: true,
+        data: user,
+        requestId
       });
 
-      res.status(201).json({
+    } catch (error) {
+      this._handleError(error, res, requestId, 'get user by ID');
+    }
+  }
+
+  /**
+   * Replace user (PUT) guarded by optional If-Match version token
+   */
+  async updateUser(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const userId = parseInt(req.params.id);
+
+      if (!userId || isNaN(userId)) {
+        throw AppError.validationError('userId', req.params.id, 'Valid user ID is required');
+      }
+
+      logger.info('Replace user request received', {
+        userId,
+        bodyFields: Object.keys(req.body || {})
+      });
+
+      const user = await this.customerService.replaceUser(
+        userId,
+        req.body,
+        req.get('If-Match'),
+        req.principal,
+        requestId
+      );
+
+      this._setEntityTag(res, await this.customerService.getUserValidators(userId, requestId));
+
+      res.json({
         success: true,
-        data: customer,
-        message: 'Customer created successfully',
+        data: user,
+        message: 'User updated successfully',
         requestId
       });
 
     } catch (error) {
-      this._handleError(error, res, requestId, 'create customer');
+      this._handleError(error, res, requestId, 'update user');
+    }
+  }
+
+  /**
+   * Assign user to one account, effective now or from effectiveDate (201 when created)
+   */
+  async assignUserToAccount(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const { userId, accountId } = this._parseAssignmentParams(req.params);
+
+      logger.info('Assign user to account request received', {
+        userId,
+        accountId
+      });
+
+      const result = await this.customerService.assignUserToAccount(
+        userId,
+        accountId,
+        req.body,
+        requestId
+      );
+
+      res.status(result.action === 'created' ? 201 : 200).json({
+        success: true,
+        data: result,
+        message: `User assignment ${result.action}`,
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'assign user to account');
+    }
+  }
+
+  /**
+   * Assign user to many accounts in one transaction (any invalid account rolls back all)
+   */
+  async assignUserToAccounts(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const userId = parseInt(req.params.userId);
+
+      if (!userId || isNaN(userId)) {
+        throw AppError.validationError('userId', req.params.userId, 'Valid user ID is required');
+      }
+
+      logger.info('Bulk assign user to accounts request received', {
+        userId,
+        accountCount: Array.isArray(req.body?.accountIds) ? req.body.accountIds.length : 0
+      });
+
+      const result = await this.customerService.assignUserToAccounts(userId, req.body, requestId);
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'User assigned to accounts successfully',
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'bulk assign user to accounts');
+    }
+  }
+
+  /**
+   * Remove user from account (the assignment is kept with the deleted status)
+   */
+  async removeUserFromAccount(req, res) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const { userId, accountId } = this._parseAssignmentParams(req.params);
+
+      logger.info('Remove user from account request received', {
+        userId,
+        accountId
+      });
+
+      const assignment = await this.customerService.removeUserFromAccount(userId, accountId, requestId);
+
+      res.json({
+        success: true,
+        data: assignment,
+        message: 'User removed from account successfully',
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, 'remove user from account');
     }
   }
 
@@ -179,7 +773,7 @@ class CustomerController {
         throw AppError.validationError('customerId', req.params.id, 'Valid customer ID is required');
       }
 
-      const users = await this.customerService.getUsersByCustomer(customerId, 'header', requestId);
+      const users = await this.customerService.getUsersByCustomer(customerId, 'header', req.accountScope, requestId);
 
       logger.debugSafe('Users by customer (header) retrieved', {
         customerId,
@@ -212,7 +806,7 @@ class CustomerController {
         throw AppError.validationError('customerId', req.params.id, 'Valid customer ID is required');
       }
 
-      const users = await this.customerService.getUsersByCustomer(customerId, 'summary', requestId);
+      const users = await this.customerService.getUsersByCustomer(customerId, 'summary', req.accountScope, requestId);
 
       logger.debugSafe('Users by customer (summary) retrieved', {
         customerId,
@@ -245,7 +839,7 @@ class CustomerController {
         throw AppError.validationError('customerId', req.params.id, 'Valid customer ID is required');
       }
 
-      const users = await this.customerService.getUsersByCustomer(customerId, 'detail', requestId);
+      const users = await this.customerService.getUsersByCustomer(customerId, 'detail', req.accountScope, requestId);
 
       logger.debugSafe('Users by customer (detail) retrieved', {
         customerId,
@@ -306,35 +900,26 @@ class CustomerController {
         throw AppError.validationError('userId', userId, 'Valid user ID is required');
       }
 
-      // Extract pagination parameters (matching your TypeScript pagination utility)
+      // Extract pagination parameters; a cursor from a previous page replaces page
       const page = parseInt(req.query.page) || 1;
       const perPage = parseInt(req.query.perPage) || 50;
+      const cursor = req.query.cursor;
 
-      // Extract filter parameters (exactly matching your TypeScript filters)
-      const filters = {
-        account_name: req.query.account_name,
-        account_number: req.query.account_number,
-        legacy_account_number: req.query.legacy_account_number,
-        account_type: req.query.account_type,
-        status: req.query.status,
-        country_lookup_id: req.query.country_lookup_id,
-        account_manager_id: req.query.account_manager_id,
-        number_of_users: req.query.number_of_users,
-        is_deleted: req.query.is_deleted
-      };
+      // filter[...]/sort plus the earlier snake_case filter params
+      const listQuery = parseListQuery('account', req.query);
 
       logger.info('Getting accounts by user ID', {
         userId: userIdNum,
         page,
         perPage,
-        hasFilters: Object.values(filters).some(filter => filter !== undefined)
+        hasFilters: Object.keys(listQuery.where).length > 0
       });
 
-      // Call service layer (will create this method)
       const result = await this.customerService.getAccountsByUserId(
         userIdNum,
-        { page, perPage },
-        filters,
+        { page, perPage, cursor },
+        listQuery,
+        req.accountScope,
         requestId
       );
 
@@ -348,12 +933,7 @@ class CustomerController {
       res.json({
         success: true,
         data: result.data,
-        pagination: {
-          page,
-          perPage,
-          totalCount: result.totalCount,
-          totalPages: Math.ceil(result.totalCount / perPage)
-        },
+        pagination: this._paginationMeta({ page, perPage, cursor }, result),
         requestId
       });
 
@@ -379,19 +959,13 @@ class CustomerController {
         throw AppError.validationError('accountId', accountId, 'Valid account ID is required');
       }
 
-      // Extract pagination parameters
+      // Extract pagination parameters; a cursor from a previous page replaces page
       const page = parseInt(req.query.page) || 1;
       const perPage = parseInt(req.query.perPage) || 50;
+      const cursor = req.query.cursor;
 
-      // Extract filter parameters (exactly matching your TypeScript filters)
-      const filters = {
-        first_name: req.query.first_name,
-        last_name: req.query.last_name,
-        email: req.query.email,
-        designation: req.query.designation,
-        status: req.query.status,
-        phone_number: req.query.phone_number
-      };
+      // filter[...]/sort plus the earlier snake_case filter params
+      const listQuery = parseListQuery('user', req.query);
 
       logger.info('Getting secondary contacts for account', {
         accountId: accountIdNum,
@@ -399,11 +973,10 @@ class CustomerController {
         perPage
       });
 
-      // Call service layer (will create this method)
       const result = await this.customerService.getSecondaryContacts(
         accountIdNum,
-        { page, perPage },
-        filters,
+        { page, perPage, cursor },
+        listQuery,
         requestId
       );
 
@@ -416,12 +989,7 @@ class CustomerController {
       res.json({
         success: true,
         data: result.data,
-        pagination: {
-          page,
-          perPage,
-          totalCount: result.totalCount,
-          totalPages: Math.ceil(result.totalCount / perPage)
-        },
+        pagination: this._paginationMeta({ page, perPage, cursor }, result),
         requestId
       });
 
@@ -451,13 +1019,14 @@ class CustomerController {
         accountId: accountIdNum
       });
 
-      // Extract customer context from request if available (matching your TypeScript logic)
-      const customerId = req.user?.customer_id ? parseInt(req.user.customer_id) : null;
+      // Customer context from the authenticated token (null for platform staff)
+      const customerId = req.user?.customerId ?? null;
 
       // Call service layer (will create this method)
       const result = await this.customerService.getAccountPrimaryContactAndRelated(
         accountIdNum,
         customerId,
+        req.accountScope,
         requestId
       );
 
@@ -503,6 +1072,7 @@ class CustomerController {
       // Call service layer (will create this method)
       const accounts = await this.customerService.getUserAccountsMinimal(
         userIdNum,
+        req.accountScope,
         requestId
       );
 
@@ -524,7 +1094,7 @@ class CustomerController {
   }
 
   /**
-   * Download accounts by user ID as Excel file ✅ NEW - FROM TYPESCRIPT
+   * Download accounts by user ID as streamed CSV or XLSX file
    * Converted from: downloadAccountsByUserId in account.controller.ts
    */
   async downloadAccountsByUserId(req, res) {
@@ -540,50 +1110,50 @@ class CustomerController {
         throw AppError.validationError('userId', userId, 'Valid user ID is required');
       }
 
-      logger.info('Starting Excel download for user accounts', {
-        userId: userIdNum
-      });
+      const exportOptions = {
+        columns: req.query.columns,
+        format: req.query.format,
+        accountScope: req.accountScope
+      };
 
-      // Extract pagination and filters (matching your TypeScript logic)
-      const page = parseInt(req.query.page) || 1;
-      const perPage = parseInt(req.query.perPage) || 1000; // Higher limit for export
+      logger.info('Starting export for user accounts', {
+        userId: userIdNum,
+        format: exportOptions.format || 'csv'
+      });
 
-      const filters = {
-        account_name: req.query.account_name,
-        account_number: req.query.account_number,
-        legacy_account_number: req.query.legacy_account_number,
-        account_type: req.query.account_type,
-        status: req.query.status,
-        country_lookup_id: req.query.country_lookup_id,
-        account_manager_id: req.query.account_manager_id,
-        number_of_users: req.query.number_of_users,
-        is_deleted: req.query.is_deleted
-      };
+      const { where } = parseListQuery('account', req.query);
 
-      // Call service layer for Excel generation (will create this method)
-      await this.customerService.downloadAccountsByUserId(
+      // Streams every matching row; columns selects and orders the columns, format picks csv or xlsx
+      const rowCount = await this.customerService.downloadAccountsByUserId(
         userIdNum,
-        { page, perPage },
-        filters,
+        exportOptions,
+        where,
         res,
         requestId
       );
 
-      logger.info('Excel download completed successfully', {
-        userId: userIdNum
+      logger.info('Export completed successfully', {
+        userId: userIdNum,
+        rowCount
       });
 
     } catch (error) {
+      // Validation/not found errors are reported before streaming starts
+      if (error instanceof AppError) {
+        this._handleError(error, res, requestId, 'download accounts by user ID');
+        return;
+      }
+
       // For file downloads, handle errors differently (matching your TypeScript logic)
       if (!res.headersSent) {
-        logger.error('Excel download failed', {
+        logger.error('Export failed', {
           userId: req.params.userId,
           errorMessage: error.message
         });
         
         res.status(500).json({
           error: {
-            message: 'Failed to generate Excel file',
+            message: 'Failed to generate export file',
             code: 'EXPORT_ERROR',
             statusCode: 500,
             timestamp: new Date().toISOString(),
@@ -595,7 +1165,7 @@ class CustomerController {
   }
 
   /**
-   * Download secondary contacts as Excel file ✅ NEW - FROM TYPESCRIPT
+   * Download secondary contacts as streamed CSV or XLSX file
    * Converted from: downloadSecondaryContacts in account.controller.ts
    */
   async downloadSecondaryContacts(req, res) {
@@ -611,47 +1181,49 @@ class CustomerController {
         throw AppError.validationError('accountId', accountId, 'Valid account ID is required');
       }
 
-      logger.info('Starting Excel download for secondary contacts', {
-        accountId: accountIdNum
-      });
+      const exportOptions = {
+        columns: req.query.columns,
+        format: req.query.format
+      };
 
-      // Extract pagination and filters
-      const page = parseInt(req.query.page) || 1;
-      const perPage = parseInt(req.query.perPage) || 1000; // Higher limit for export
+      logger.info('Starting export for secondary contacts', {
+        accountId: accountIdNum,
+        format: exportOptions.format || 'csv'
+      });
 
-      const filters = {
-        first_name: req.query.first_name,
-        last_name: req.query.last_name,
-        email: req.query.email,
-        designation: req.query.designation,
-        status: req.query.status,
-        phone_number: req.query.phone_number
-      };
+      const { where } = parseListQuery('user', req.query);
 
-      // Call service layer for Excel generation (will create this method)
-      await this.customerService.downloadSecondaryContacts(
+      // Streams every matching row; columns selects and orders the columns, format picks csv or xlsx
+      const rowCount = await this.customerService.downloadSecondaryContacts(
         accountIdNum,
-        { page, perPage },
-        filters,
+        exportOptions,
+        where,
         res,
         requestId
       );
 
-      logger.info('Excel download completed successfully', {
-        accountId: accountIdNum
+      logger.info('Export completed successfully', {
+        accountId: accountIdNum,
+        rowCount
       });
 
     } catch (error) {
+      // Validation/not found errors are reported before streaming starts
+      if (error instanceof AppError) {
+        this._handleError(error, res, requestId, 'download secondary contacts');
+        return;
+      }
+
       // For file downloads, handle errors differently
       if (!res.headersSent) {
-        logger.error('Excel download failed', {
+        logger.error('Export failed', {
           accountId: req.params.accountId,
           errorMessage: error.message
         });
         
         res.status(500).json({
           error: {
-            message: 'Failed to generate Excel file',
+            message: 'Failed to generate export file',
             code: 'EXPORT_ERROR',
             statusCode: 500,
             timestamp: new Date().toISOString(),
@@ -662,6 +1234,36 @@ class CustomerController {
     }
   }
 
+  // ========================================
+  // ACCOUNT SCOPE MIDDLEWARE
+  // ========================================
+
+  /**
+   * Create middleware resolving the caller's account scope into req.accountScope
+   * and rejecting routes that target accounts outside of it
+   * @param {Object} policy - Route policy; policy.accounts maps the request to targeted account IDs
+   * @returns {Function} Express middleware
+   */
+  accountScope(policy) {
+    return async (req, res, next) => {
+      const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+
+      try {
+        req.accountScope = await this.customerService.resolveAccountScope(req.principal, requestId);
+
+        if (policy.accounts) {
+          const accountIds = policy.accounts(req).filter(accountId => accountId !== null);
+          this.customerService.assertAccountScope(accountIds, req.accountScope, policy.action);
+        }
+
+        next();
+
+      } catch (error) {
+        this._handleError(error, res, requestId, 'resolve account scope');
+      }
+    };
+  }
+
   // ========================================
   // EXISTING HELPER METHODS - PRESERVED EXACTLY ✅
   // ========================================
@@ -691,6 +1293,145 @@ class CustomerController {
     };
   }
 
+  /**
+   * Parse :userId and :accountId route params
+   * @private
+   */
+  _parseAssignmentParams(params) {
+    const userId = parseInt(params.userId);
+    const accountId = parseInt(params.accountId);
+
+    if (!userId || isNaN(userId)) {
+      throw AppError.validationError('userId', params.userId, 'Valid user ID is required');
+    }
+    if (!accountId || isNaN(accountId)) {
+      throw AppError.validationError('accountId', params.accountId, 'Valid account ID is required');
+    }
+
+    return { userId, accountId };
+  }
+
+  /**
+   * Shared handler for soft delete and restore endpoints
+   * @private
+   */
+  async _handleSoftDelete(req, res, entityName, action) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const id = parseInt(req.params.id);
+
+      if (!id || isNaN(id)) {
+        throw AppError.validationError(`${entityName}Id`, req.params.id, `Valid ${entityName} ID is required`);
+      }
+
+      logger.info(`${action === 'delete' ? 'Soft delete' : 'Restore'} ${entityName} request received`, {
+        id
+      });
+
+      const result = action === 'delete'
+        ? await this.customerService.softDeleteEntity(entityName, id, req.principal, req.accountScope, requestId)
+        : await this.customerService.restoreEntity(entityName, id, req.principal, req.accountScope, requestId);
+
+      res.json({
+        success: true,
+        data: result,
+        message: `${entityName.charAt(0).toUpperCase() + entityName.slice(1)} ${action === 'delete' ? 'deleted' : 'restored'} successfully`,
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, `${action} ${entityName}`);
+    }
+  }
+
+  /**
+   * Shared handler for customer/account history routes
+   * @private
+   */
+  async _handleHistory(req, res, entityName) {
+    const requestId = req.requestId || req.headers['x-request-id'] || 'unknown';
+    const logger = createRequestLogger(requestId, 'customer-controller');
+
+    try {
+      const id = parseInt(req.params.id);
+      const page = parseInt(req.query.page) || 1;
+      const perPage = parseInt(req.query.perPage) || 50;
+      const cursor = req.query.cursor;
+
+      logger.info(`Get ${entityName} history request received`, {
+        id,
+        page,
+        perPage,
+        hasCursor: !!cursor
+      });
+
+      const result = await this.customerService.getEntityHistory(entityName, id, { page, perPage, cursor }, req.accountScope, requestId);
+
+      res.json({
+        success: true,
+        data: result.data,
+        pagination: this._paginationMeta({ page, perPage, cursor }, result),
+        requestId
+      });
+
+    } catch (error) {
+      this._handleError(error, res, requestId, `get ${entityName} history`);
+    }
+  }
+
+  /**
+   * Set ETag/Last-Modified and answer 304 when If-None-Match/If-Modified-Since show the
+   * client copy is current
+   * @private
+   * @returns {boolean} True when the 304 was sent
+   */
+  _respondIfNotModified(req, res, { etag, lastModified }) {
+    this._setEntityTag(res, { etag });
+    if (lastModified) {
+      res.setHeader('Last-Modified', lastModified.toUTCString());
+    }
+
+    if (!isNotModified(req.headers, { etag, lastModified })) {
+      return false;
+    }
+
+    res.status(304).end();
+    return true;
+  }
+
+  /**
+   * Set the ETag of an entity from its conditional GET validators, so the tag returned
+   * by a write matches the next GET of the same state (skipped when ETags are disabled)
+   * @private
+   */
+  _setEntityTag(res, { etag }) {
+    if (etag) {
+      res.setHeader('ETag', etag);
+    }
+  }
+
+  /**
+   * Pagination block of list responses: page/totalCount/totalPages in page mode
+   * (skipped when paging by cursor), cursors in both modes
+   * @private
+   */
+  _paginationMeta({ page, perPage, cursor }, result) {
+    return {
+      ...(!cursor && {
+        page,
+        totalCount: result.totalCount,
+        totalPages: Math.ceil(result.totalCount / perPage)
+      }),
+      perPage,
+      hasNext: result.hasNext,
+      hasPrev: result.hasPrev,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor
+    };
+  }
+
   /**
    * Centralized error handling for all controller methods ✅ EXISTING - UNCHANGED
    * @private
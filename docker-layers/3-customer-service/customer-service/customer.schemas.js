@@ -0,0 +1,228 @@
+/**
+ * Customer Domain Request Schemas
+ * File: /customer-service/customer.schemas.js
+ * Version: 1.0.0
+ *
+ * Purpose: Joi schemas for params, query string and body of every customer
+ *          domain route, keyed like ROUTE_POLICIES ('METHOD path').
+ *          consumes lists the body content types for the OpenAPI document
+ *          List endpoints take the filter/sort keys of list-query.service
+ *          Undeclared fields are rejected by validation.middleware; value
+ *          rules mirror the service field rules so violations surface
+ *          together before the service runs its own checks
+ */
+
+const Joi = require('joi');
+const businessConfig = require('../../2-common-base/common/config/business.config');
+const techConfig = require('../../2-common-base/common/config/technical.config');
+const { listQueryKeys } = require('../../2-common-base/common/services/list-query.service');
+
+// ========================================
+// SHARED BUILDING BLOCKS
+// ========================================
+
+const id = Joi.number().integer().positive();
+const statusCode = Joi.string().pattern(/^[A-Z]{3}$/).messages({
+  'string.pattern.base': '{#label} must be a 3-letter uppercase status code'
+});
+const isoDate = Joi.string().isoDate();
+const text = Joi.string().allow('');          // Free-text query filters, empty means unfiltered
+
+const idParams = (...names) => Joi.object(Object.fromEntries(names.map(name => [name, id.required()])));
+
+// Server-owned columns are accepted (and ignored by the service) on replace/patch bodies,
+// so a representation read with GET can be sent back unchanged
+const serverManaged = (...fields) => Object.fromEntries(
+  fields.map(field => [field, Joi.any().description('Server managed, ignored on write')])
+);
+
+const perPage = Joi.number().integer().min(1).max(techConfig.pagination.maxPerPage);
+const cursor = Joi.string().max(2048).description('nextCursor/prevCursor of a previous page');
+
+// page/perPage offset paging, or cursor paging with the tokens of the previous response
+const pagedQuery = (keys) => Joi.object({
+  page: Joi.number().integer().min(1),
+  perPage,
+  cursor,
+  ...keys
+}).oxor('page', 'cursor').messages({
+  'object.oxor': 'page and cursor cannot be combined'
+});
+
+const historyQuery = pagedQuery({ perPage: perPage.max(businessConfig.audit.maxHistoryPageSize) });
+
+const exportQuery = {
+  columns: Joi.string(),
+  format: Joi.string().valid('csv', 'xlsx').insensitive()
+};
+
+
+// ========================================
+// ENTITY BODIES
+// ========================================
+
+const customerFields = {
+  customerName: Joi.string().max(255),
+  customerClass: Joi.string().max(10),
+  status: statusCode,
+  referenceNumber: Joi.string().max(100),
+  soldBySalespersonId: id.allow(null)
+};
+
+const customerBody = Joi.object(customerFields).fork(
+  ['customerName', 'customerClass', 'status', 'referenceNumber'],
+  field => field.required()
+);
+
+const accountFields = {
+  customerId: id.required(),
+  parentAccountId: id.allow(null),
+  primaryContactUserId: id.allow(null),
+  countryLookupId: id.required(),
+  accountName: Joi.string().max(255).allow(null),
+  accountNumber: Joi.string().max(20).allow(null),
+  legacyAccountNumber: Joi.string().max(30).allow(null),
+  accountType: Joi.string().max(10),
+  accountManagerId: id.allow(null),
+  status: statusCode
+};
+
+const userFields = {
+  customerId: id.required(),
+  auth0ReferenceId: Joi.string().max(255).required(),
+  userRoleId: id.required(),
+  firstName: Joi.string().max(255).allow(null),
+  lastName: Joi.string().max(255).allow(null),
+  email: Joi.string().max(255).pattern(businessConfig.validation.email).allow(null).messages({
+    'string.pattern.base': '{#label} must be a valid email address'
+  }),
+  phoneNumber: Joi.string().max(255).pattern(businessConfig.validation.phone).allow(null).messages({
+    'string.pattern.base': '{#label} must be a valid phone number'
+  }),
+  designation: Joi.string().max(255).allow(null),
+  avatar: Joi.string().max(255).allow(null),
+  isCustomer: Joi.boolean(),
+  firstActive: isoDate.allow(null),
+  lastActive: isoDate.allow(null),
+  status: statusCode
+};
+
+const effectiveDate = isoDate.allow(null);
+
+// ========================================
+// ROUTE SCHEMAS
+// ========================================
+
+const ROUTE_SCHEMAS = {
+  'GET /health': {},
+
+  'GET /customers': {
+    query: pagedQuery({
+      variant: Joi.string().valid('header', 'summary', 'detail'),
+      soldBySalespersonId: id,
+      customerClass: Joi.string(),
+      status: statusCode,
+      search: text,
+      sort: Joi.string()
+    })
+  },
+  'GET /customers/:id': {
+    params: idParams('id'),
+    query: Joi.object({ include: text })
+  },
+  'POST /customers': {
+    body: customerBody.required()
+  },
+  'POST /customers/import': {
+    consumes: ['application/json', 'text/csv'],
+    query: Joi.object({ dryRun: Joi.string().valid('true', 'false') }),
+    // Record-level rules are reported per row by the import planner
+    body: Joi.alternatives().try(
+      Joi.object({ customers: Joi.array().items(Joi.object().unknown(true)).required() }),
+      Joi.string()
+    )
+  },
+  'PUT /customers/:id': {
+    params: idParams('id'),
+    body: customerBody.keys(serverManaged('customerId', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy')).required()
+  },
+  'PATCH /customers/:id': {
+    consumes: ['application/merge-patch+json'],
+    params: idParams('id'),
+    body: Joi.object(customerFields)
+      .keys(serverManaged('customerId', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'))
+      .required()
+  },
+  'DELETE /customers/:id': { params: idParams('id') },
+  'POST /customers/:id/restore': { params: idParams('id') },
+  'GET /customers/:id/history': { params: idParams('id'), query: historyQuery },
+  'GET /customers/:id/accounts': { params: idParams('id') },
+  'GET /customers/:id/users/header': { params: idParams('id') },
+  'GET /customers/:id/users/summary': { params: idParams('id') },
+  'GET /customers/:id/users/detail': { params: idParams('id') },
+
+  'GET /accounts/:id': { params: idParams('id') },
+  'POST /accounts': {
+    body: Joi.object(accountFields).required()
+  },
+  'PUT /accounts/:id': {
+    params: idParams('id'),
+    body: Joi.object(accountFields)
+      .keys(serverManaged('accountId', 'numberOfUsers', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'))
+      .required()
+  },
+  'DELETE /accounts/:id': { params: idParams('id') },
+  'POST /accounts/:id/restore': { params: idParams('id') },
+  'GET /accounts/:id/history': { params: idParams('id'), query: historyQuery },
+  'GET /accounts/:id/users/header': { params: idParams('id') },
+  'GET /accounts/:id/users/summary': { params: idParams('id') },
+  'GET /accounts/:id/users/detail': { params: idParams('id') },
+
+  'GET /users/:id': { params: idParams('id') },
+  'POST /users': {
+    body: Joi.object(userFields).required()
+  },
+  'PUT /users/:id': {
+    params: idParams('id'),
+    body: Joi.object(userFields)
+      .keys(serverManaged('userId', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'))
+      .required()
+  },
+  'DELETE /users/:id': { params: idParams('id') },
+  'POST /users/:id/restore': { params: idParams('id') },
+  'POST /users/:userId/accounts': {
+    params: idParams('userId'),
+    body: Joi.object({
+      accountIds: Joi.array().items(id).min(1).max(businessConfig.assignments.maxBulkAccounts).required(),
+      effectiveDate
+    }).required()
+  },
+  'POST /users/:userId/accounts/:accountId': {
+    params: idParams('userId', 'accountId'),
+    body: Joi.object({ effectiveDate }).allow(null)
+  },
+  'DELETE /users/:userId/accounts/:accountId': { params: idParams('userId', 'accountId') },
+
+  'GET /customerUserAccounts/:userId': {
+    params: idParams('userId'),
+    query: pagedQuery(listQueryKeys('account'))
+  },
+  'GET /userAccounts/:userId': { params: idParams('userId') },
+  'GET /accountLinkedUsers/:accountId': {
+    params: idParams('accountId'),
+    query: pagedQuery(listQueryKeys('user'))
+  },
+  'GET /accountPrimaryContactAndRelated/:accountId': { params: idParams('accountId') },
+  'GET /downloadAccountsByUserId/:userId': {
+    params: idParams('userId'),
+    query: Joi.object({ ...exportQuery, ...listQueryKeys('account', { sort: false }) })
+  },
+  'GET /downloadSecondaryContacts/:accountId': {
+    params: idParams('accountId'),
+    query: Joi.object({ ...exportQuery, ...listQueryKeys('user', { sort: false }) })
+  }
+};
+
+module.exports = {
+  ROUTE_SCHEMAS
+};
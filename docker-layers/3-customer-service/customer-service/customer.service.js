@@ -6,19 +6,216 @@
  * Purpose: Fixed import paths to work with actual directory structure
  */
 
+const crypto = require('crypto');
+
 // ✅ FIXED: Correct paths to common-base layer
 const { getClient, executeTransaction } = require('../../2-common-base/common/services/database.service');
 const { getRepository } = require('../../2-common-base/common/services/repository-factory-model.service');
 const CustomerModel = require('./models/customer.model');
+const AccountModel = require('./models/account.model');
 const AppError = require('../../2-common-base/common/services/app-error');
-const { createRequestLogger } = require('../../2-common-base/common/services/logger.service');
+const { createRequestLogger, debugSafe } = require('../../2-common-base/common/services/logger.service');
+const { getRequestId } = require('../../2-common-base/common/services/request-context.service');
+const { parseIfMatch, createEntityTag, getVersion, latestVersion } = require('../../2-common-base/common/services/entity-tag.service');
+const { softDelete, restore } = require('../../2-common-base/common/services/soft-delete.service');
+const { findHistory } = require('../../2-common-base/common/services/audit.service');
+const { getOrLoad, tagsOf } = require('../../2-common-base/common/services/response-cache.service');
+const { parse: parseCsv, resolveColumns, streamCsv } = require('../../2-common-base/common/services/csv.service');
+const { streamWorkbook } = require('../../2-common-base/common/services/xlsx.service');
+const businessConfig = require('../../2-common-base/common/config/business.config');
+const techConfig = require('../../2-common-base/common/config/technical.config');
+
+// Account fields shared by hierarchy lookups (related accounts and customer account tree)
+const RELATED_ACCOUNT_SELECT = {
+  accountId: true,
+  accountName: true,
+  accountNumber: true,
+  legacyAccountNumber: true,
+  accountType: true,
+  status: true,
+  numberOfUsers: true
+};
+
+// User fields returned for account primary contacts
+const PRIMARY_CONTACT_SELECT = {
+  userId: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  phoneNumber: true,
+  designation: true,
+  avatar: true,
+  status: true,
+  isCustomer: true
+};
+
+// Active assignments count once their effectiveDate is reached; null means immediately
+const effectiveAssignmentWhere = () => ({
+  status: 'ACT',
+  OR: [{ effectiveDate: null }, { effectiveDate: { lte: new Date() } }]
+});
+
+// Restricts account queries to the caller's account scope; null scope means unrestricted
+const accountScopeWhere = (accountScope) => (accountScope ? { accountId: { in: accountScope } } : {});
+
+// Parts of the customer aggregate that can be expanded with include=
+const CUSTOMER_INCLUDE_OPTIONS = ['accounts', 'userCounts', 'primaryContacts'];
+
+// Client-editable customer columns (PUT replaces all of them, PATCH any subset)
+const CUSTOMER_FIELD_RULES = {
+  customerName: { required: true, maxLength: 255 },
+  customerClass: { required: true, maxLength: 10 },
+  status: { required: true, pattern: /^[A-Z]{3}$/, patternMessage: 'Must be a 3-letter uppercase status code' },
+  referenceNumber: { required: true, maxLength: 100 },
+  soldBySalespersonId: { required: false, type: 'id' }
+};
+
+// Columns owned by the server; ignored when present in update bodies
+const CUSTOMER_SERVER_MANAGED_FIELDS = ['customerId', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'];
+
+// Client-editable account columns; omitted fields fall back to default (or null) on create/PUT
+const ACCOUNT_FIELD_RULES = {
+  customerId: { required: true, type: 'id' },
+  parentAccountId: { required: false, type: 'id' },
+  primaryContactUserId: { required: false, type: 'id' },
+  countryLookupId: { required: true, type: 'id' },
+  accountName: { required: false, maxLength: 255 },
+  accountNumber: { required: false, maxLength: 20 },
+  legacyAccountNumber: { required: false, maxLength: 30 },
+  accountType: { required: false, maxLength: 10, default: 'NATIONAL' },
+  accountManagerId: { required: false, type: 'id' },
+  status: { required: false, pattern: /^[A-Z]{3}$/, patternMessage: 'Must be a 3-letter uppercase status code', default: 'ACT' }
+};
+
+// numberOfUsers is maintained from user_has_account assignments
+const ACCOUNT_SERVER_MANAGED_FIELDS = ['accountId', 'numberOfUsers', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'];
+
+// Client-editable user columns; customerId and auth0ReferenceId cannot change after creation.
+// isCustomer defaults to the restricted customer user; PUT keeps the stored value when it is omitted
+const USER_FIELD_RULES = {
+  customerId: { required: true, type: 'id' },
+  auth0ReferenceId: { required: true, maxLength: 255 },
+  userRoleId: { required: true, type: 'id' },
+  firstName: { required: false, maxLength: 255 },
+  lastName: { required: false, maxLength: 255 },
+  email: { required: false, maxLength: 255, pattern: businessConfig.validation.email, patternMessage: 'Must be a valid email address' },
+  phoneNumber: { required: false, maxLength: 255, pattern: businessConfig.validation.phone, patternMessage: 'Must be a valid phone number' },
+  designation: { required: false, maxLength: 255 },
+  avatar: { required: false, maxLength: 255 },
+  isCustomer: { required: false, type: 'boolean', default: true },
+  firstActive: { required: false, type: 'date' },
+  lastActive: { required: false, type: 'date' },
+  status: { required: false, pattern: /^[A-Z]{3}$/, patternMessage: 'Must be a 3-letter uppercase status code', default: 'ACT' }
+};
+
+const USER_SERVER_MANAGED_FIELDS = ['userId', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'];
+
+const omitFields = (rules, fields) => Object.fromEntries(
+  Object.entries(rules).filter(([field]) => !fields.includes(field))
+);
+
+// Import records link to each other through client-chosen refs instead of database IDs
+const IMPORT_FIELD_RULES = {
+  customer: CUSTOMER_FIELD_RULES,
+  account: omitFields(ACCOUNT_FIELD_RULES, ['customerId', 'parentAccountId', 'primaryContactUserId']),
+  user: omitFields(USER_FIELD_RULES, ['customerId'])
+};
+
+// CSV columns that carry refs rather than entity fields
+const IMPORT_CSV_REFERENCE_COLUMNS = ['recordType', 'customerRef', 'ref', 'parentRef', 'primaryContactRef', 'accountRefs'];
+
+// Account fields returned by user account listings and exports
+const USER_ACCOUNT_LIST_SELECT = {
+  accountId: true,
+  parentAccountId: true,
+  customerId: true,
+  accountName: true,
+  accountNumber: true,
+  legacyAccountNumber: true,
+  accountType: true,
+  accountManagerId: true,
+  numberOfUsers: true,
+  status: true,
+  createdAt: true,
+  createdBy: true,
+  updatedAt: true,
+  updatedBy: true,
+  customer: {
+    select: {
+      customerName: true
+    }
+  }
+};
+
+// User fields returned by secondary contact listings and exports
+const SECONDARY_CONTACT_SELECT = {
+  userId: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  designation: true,
+  status: true,
+  phoneNumber: true,
+  avatar: true,
+  isCustomer: true
+};
+
+// Formats accepted by ?format= on downloads
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Columns selectable with ?columns= on account exports
+const ACCOUNT_EXPORT_COLUMNS = [
+  { key: 'accountId', header: 'Account ID' },
+  { key: 'accountName', header: 'Account Name' },
+  { key: 'accountNumber', header: 'Account Number' },
+  { key: 'legacyAccountNumber', header: 'Legacy Account Number' },
+  { key: 'accountType', header: 'Account Type' },
+  { key: 'status', header: 'Status' },
+  { key: 'customerId', header: 'Customer ID' },
+  { key: 'customerName', header: 'Customer Name', value: account => account.customer?.customerName },
+  { key: 'parentAccountId', header: 'Parent Account ID' },
+  { key: 'accountManagerId', header: 'Account Manager ID' },
+  { key: 'numberOfUsers', header: 'Number of Users' },
+  { key: 'createdAt', header: 'Created At', type: 'date' },
+  { key: 'updatedAt', header: 'Updated At', type: 'date' }
+];
+const ACCOUNT_EXPORT_DEFAULT_COLUMNS = ['accountId', 'accountName', 'accountNumber', 'accountType', 'status', 'customerName'];
+
+// Columns selectable with ?columns= on contact exports
+const CONTACT_EXPORT_COLUMNS = [
+  { key: 'userId', header: 'User ID' },
+  { key: 'firstName', header: 'First Name' },
+  { key: 'lastName', header: 'Last Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'phoneNumber', header: 'Phone' },
+  { key: 'designation', header: 'Designation' },
+  { key: 'status', header: 'Status' },
+  { key: 'isCustomer', header: 'Is Customer' },
+  { key: 'avatar', header: 'Avatar' }
+];
+const CONTACT_EXPORT_DEFAULT_COLUMNS = ['userId', 'firstName', 'lastName', 'email', 'phoneNumber', 'designation', 'status'];
+
+// Active account assignments returned with a user
+const USER_ACCOUNT_SELECT = {
+  accountId: true,
+  effectiveDate: true,
+  account: {
+    select: {
+      accountName: true,
+      accountNumber: true,
+      status: true
+    }
+  }
+};
 
 class CustomerService {
   constructor() {
     this.customerModel = new CustomerModel();
+    this.accountModel = new AccountModel();
     this.customerRepository = getRepository('customer');
     this.accountRepository = getRepository('account');
     this.userRepository = getRepository('user');
+    this.userHasAccountRepository = getRepository('userHasAccount');
   }
 
   // ========================================
@@ -53,6 +250,429 @@ class CustomerService {
     }
   }
 
+  /**
+   * List customers with search, filters, multi-column sort and cursor or page pagination
+   * @param {Object} options - List options
+   * @param {string} options.search - Free text matched against customerName/referenceNumber
+   * @param {string} options.sort - Sort expression, e.g. "customerName,-createdAt"
+   * @param {string} options.cursor - Cursor returned by the previous page
+   * @param {number} options.page - Page number (1-based), used without cursor
+   * @param {number} options.perPage - Records per page
+   * @param {string} options.variant - Field variant (header/summary/detail)
+   * @param {Object} filters - customerClass, status, soldBySalespersonId, customerId (tenant scope)
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Customers page
+   */
+  async listCustomers(options, filters, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const client = await getClient(requestId);
+
+      logger.debugSafe('Listing customers', {
+        variant: options.variant,
+        sort: options.sort,
+        hasSearch: !!options.search,
+        hasCursor: !!options.cursor
+      });
+
+      const whereClause = {
+        status: filters.status ? String(filters.status) : 'ACT',
+        ...(filters.customerClass && { customerClass: String(filters.customerClass) }),
+        ...(filters.soldBySalespersonId && { soldBySalespersonId: filters.soldBySalespersonId }),
+        ...(filters.customerId && { customerId: filters.customerId }),
+        ...(options.search && {
+          OR: [
+            { customerName: { contains: String(options.search), mode: 'insensitive' } },
+            { referenceNumber: { contains: String(options.search), mode: 'insensitive' } }
+          ]
+        })
+      };
+
+      const result = await this.customerModel.findCustomers({
+        where: whereClause,
+        sort: this.customerModel.parseCustomerSort(options.sort),
+        cursor: options.cursor,
+        page: options.page,
+        perPage: options.perPage,
+        variant: options.variant
+      }, client);
+
+      logger.debugSafe('Customers listed', {
+        returnedCount: result.data.length,
+        totalCount: result.totalCount,
+        hasNext: result.hasNext
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to list customers', {
+        variant: options.variant,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Conditional GET validators of the customer aggregate, from the customer row and the
+   * version/count of the related rows the requested parts are built from
+   * @param {number} customerId - Customer ID
+   * @param {Array<string>} include - Parts to expand (accounts, userCounts, primaryContacts)
+   * @param {Array<number>|null} accountScope - Caller's visible accounts (null: all)
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} { etag, lastModified }
+   */
+  async getCustomerValidators(customerId, include = CUSTOMER_INCLUDE_OPTIONS, accountScope = null, requestId = null) {
+    this._assertCustomerInclude(include);
+
+    const client = await getClient(requestId);
+    const customer = await client.customer.findUnique({
+      where: { customerId },
+      select: { updatedAt: true, createdAt: true }
+    });
+
+    if (!customer) {
+      throw AppError.notFound('customer', customerId);
+    }
+
+    const withUserCounts = include.includes('userCounts');
+    const withPrimaryContacts = include.includes('primaryContacts');
+    // Versions also cover rows of any status, so deactivated rows move Last-Modified
+    const anyAccountWhere = { customerId, ...accountScopeWhere(accountScope) };
+    const accountWhere = { ...anyAccountWhere, status: 'ACT' };
+    const rowSets = {};
+
+    if (include.includes('accounts') || withUserCounts || withPrimaryContacts) {
+      rowSets.accounts = await this._rowSetState(client.account, accountWhere, anyAccountWhere);
+    }
+
+    if (withUserCounts) {
+      // Counted with the same effective-date filter, so assignments taking effect change the tag
+      rowSets.assignments = await this._rowSetState(
+        client.userHasAccount,
+        { ...effectiveAssignmentWhere(), account: accountWhere },
+        { account: anyAccountWhere }
+      );
+    }
+
+    if (withPrimaryContacts) {
+      const contacts = await client.account.findMany({
+        where: { ...accountWhere, primaryContactUserId: { not: null } },
+        select: { primaryContactUserId: true },
+        distinct: ['primaryContactUserId']
+      });
+      rowSets.primaryContacts = await this._rowSetState(client.user, {
+        userId: { in: contacts.map(account => account.primaryContactUserId) }
+      });
+    }
+
+    return this._buildValidators('customer', customerId, customer, rowSets, {
+      include: [...include].sort(),
+      accountScope: accountScope ? [...accountScope].sort((a, b) => a - b) : null
+    });
+  }
+
+  /**
+   * Get customer aggregate: customer, account tree, user counts and primary contacts
+   * @param {number} customerId - Customer ID
+   * @param {Array<string>} include - Parts to expand (accounts, userCounts, primaryContacts)
+   * @param {Array<number>|null} accountScope - Caller's visible accounts (null: all)
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Customer aggregate
+   */
+  async getCustomerById(customerId, include = CUSTOMER_INCLUDE_OPTIONS, accountScope = null, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      this._assertCustomerInclude(include);
+
+      const client = await getClient(requestId);
+
+      logger.debugSafe('Getting customer aggregate', {
+        customerId,
+        include
+      });
+
+      const customer = await client.customer.findUnique({
+        where: { customerId }
+      });
+
+      if (!customer) {
+        throw AppError.notFound('customer', customerId);
+      }
+
+      const withUserCounts = include.includes('userCounts');
+      const withAccounts = include.includes('accounts') || withUserCounts;
+      const withPrimaryContacts = include.includes('primaryContacts');
+
+      const result = { ...customer, salespersonId: customer.soldBySalespersonId };
+
+      // Accounts are needed for the tree and to resolve primary contacts
+      let accounts = [];
+      if (withAccounts || withPrimaryContacts) {
+        accounts = await client.account.findMany({
+          where: {
+            customerId,
+            status: 'ACT',
+            ...accountScopeWhere(accountScope)
+          },
+          select: {
+            ...RELATED_ACCOUNT_SELECT,
+            parentAccountId: true,
+            primaryContactUserId: true,
+            ...(withUserCounts && {
+              _count: {
+                select: {
+                  userHasAccounts: { where: effectiveAssignmentWhere() }
+                }
+              }
+            })
+          },
+          orderBy: { accountId: 'asc' }
+        });
+      }
+
+      if (withAccounts) {
+        const accountNodes = accounts.map(({ _count, ...account }) => ({
+          ...account,
+          ...(withUserCounts && { userCount: _count.userHasAccounts })
+        }));
+        result.accounts = this._buildAccountTree(accountNodes);
+      }
+
+      if (withPrimaryContacts) {
+        const contactAccountIds = new Map();
+        accounts
+          .filter(account => account.primaryContactUserId)
+          .forEach(account => {
+            const accountIds = contactAccountIds.get(account.primaryContactUserId) || [];
+            accountIds.push(account.accountId);
+            contactAccountIds.set(account.primaryContactUserId, accountIds);
+          });
+
+        const contacts = contactAccountIds.size > 0
+          ? await client.user.findMany({
+            where: { userId: { in: [...contactAccountIds.keys()] } },
+            select: PRIMARY_CONTACT_SELECT,
+            orderBy: { userId: 'asc' }
+          })
+          : [];
+
+        result.primaryContacts = contacts.map(contact => ({
+          ...contact,
+          accountIds: contactAccountIds.get(contact.userId)
+        }));
+      }
+
+      result.summary = {
+        total_accounts: withAccounts || withPrimaryContacts ? accounts.length : undefined,
+        root_accounts: withAccounts ? result.accounts.length : undefined,
+        total_user_assignments: withUserCounts
+          ? accounts.reduce((total, account) => total + account._count.userHasAccounts, 0)
+          : undefined,
+        total_primary_contacts: withPrimaryContacts ? result.primaryContacts.length : undefined
+      };
+
+      logger.debugSafe('Customer aggregate retrieved', {
+        customerId,
+        accountCount: accounts.length
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to get customer aggregate', {
+        customerId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all editable customer fields (PUT semantics)
+   * Omitted optional fields are cleared
+   * @param {number} customerId - Customer ID
+   * @param {Object} customerData - Complete customer representation
+   * @param {string} ifMatch - If-Match header carrying the customer version
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Updated customer
+   */
+  async replaceCustomer(customerId, customerData, ifMatch, requestId = null) {
+    const changes = this._fillOmittedFields(
+      this._validateEntityChanges('customer', customerData, CUSTOMER_FIELD_RULES, CUSTOMER_SERVER_MANAGED_FIELDS, { partial: false }),
+      CUSTOMER_FIELD_RULES
+    );
+
+    return this._updateCustomerVersioned(customerId, changes, ifMatch, 'replace');
+  }
+
+  /**
+   * Apply a JSON Merge Patch (RFC 7396) to a customer (PATCH semantics)
+   * Members set to null clear the field, omitted members are left untouched
+   * @param {number} customerId - Customer ID
+   * @param {Object} mergePatch - Merge patch document
+   * @param {string} ifMatch - If-Match header carrying the customer version
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Updated customer
+   */
+  async patchCustomer(customerId, mergePatch, ifMatch, requestId = null) {
+    const changes = this._validateEntityChanges('customer', mergePatch, CUSTOMER_FIELD_RULES, CUSTOMER_SERVER_MANAGED_FIELDS, { partial: true });
+
+    return this._updateCustomerVersioned(customerId, changes, ifMatch, 'patch');
+  }
+
+  /**
+   * Soft delete customer, account or user, cascading per business config rules
+   * @param {string} entityName - customer, account or user
+   * @param {number} id - Primary key value
+   * @param {Object|null} principal - Authorized caller (req.principal), null when authentication is off
+   * @param {Array<number>|null} accountScope - Caller's visible accounts (null: all)
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Delete summary with cascaded row counts
+   */
+  async softDeleteEntity(entityName, id, principal, accountScope, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      logger.info('Soft deleting entity', { entityName, id });
+
+      const result = await executeTransaction(async (tx) => {
+        if (entityName === 'user') {
+          await this._assertUserRemovable(id, principal, 'delete', tx);
+          await this._assertUserAccountScope(id, accountScope, 'delete', tx);
+        }
+
+        const { flipped, ...deleted } = await softDelete(entityName, id, tx, requestId);
+
+        if (flipped.userHasAccount) {
+          await this._syncAccountUserCounts(flipped.userHasAccount.map(assignment => assignment.accountId), tx);
+        }
+
+        return deleted;
+      }, requestId);
+
+      logger.info('Entity soft deleted successfully', {
+        entityName,
+        id,
+        cascaded: result.cascaded
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to soft delete entity', {
+        entityName,
+        id,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Restore soft-deleted customer, account or user with its cascaded children
+   * @param {string} entityName - customer, account or user
+   * @param {number} id - Primary key value
+   * @param {Object|null} principal - Authorized caller (req.principal), null when authentication is off
+   * @param {Array<number>|null} accountScope - Caller's visible accounts (null: all)
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Restore summary with restored row counts
+   */
+  async restoreEntity(entityName, id, principal, accountScope, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      logger.info('Restoring entity', { entityName, id });
+
+      const result = await executeTransaction(async (tx) => {
+        if (entityName === 'user') {
+          await this._assertUserRemovable(id, principal, 'restore', tx);
+          await this._assertUserAccountScope(id, accountScope, 'restore', tx);
+        }
+
+        const { flipped, ...restored } = await restore(entityName, id, tx, requestId);
+
+        if (flipped.userHasAccount) {
+          await this._syncAccountUserCounts(flipped.userHasAccount.map(assignment => assignment.accountId), tx);
+        }
+
+        return restored;
+      }, requestId);
+
+      logger.info('Entity restored successfully', {
+        entityName,
+        id,
+        cascaded: result.cascaded
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to restore entity', {
+        entityName,
+        id,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Audit history of a customer (with its accounts, users and assignments)
+   * or of an account (with its assignments), newest first
+   * @param {string} entityName - customer or account
+   * @param {number} id - Primary key value
+   * @param {Object} pagination - { cursor } or { page, perPage }
+   * @param {Array<number>|null} accountScope - Accounts visible to the caller (null = all);
+   *                                            customer history keeps customer-level entries
+   *                                            and entries of those accounts
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} { data, totalCount, nextCursor, prevCursor, hasNext, hasPrev }
+   */
+  async getEntityHistory(entityName, id, pagination, accountScope = null, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const client = await getClient(requestId);
+      const repository = entityName === 'customer' ? this.customerRepository : this.accountRepository;
+
+      if (!await repository.findById(id, client, requestId)) {
+        throw AppError.notFound(entityName, id);
+      }
+
+      const where = entityName === 'customer' && accountScope
+        ? { OR: [{ entityName: 'customer' }, { accountId: { in: accountScope } }] }
+        : {};
+
+      const result = await findHistory(
+        { [`${entityName}Id`]: id },
+        { cursor: pagination.cursor, page: pagination.page, perPage: pagination.perPage, where },
+        client,
+        requestId
+      );
+
+      logger.debugSafe('Entity history retrieved', {
+        entityName,
+        id,
+        entryCount: result.data.length,
+        totalCount: result.totalCount
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to get entity history', {
+        entityName,
+        id,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
   async getUsersByAccount(accountId, variant, requestId = null) {
     const logger = createRequestLogger(requestId, 'customer-service');
 
@@ -70,7 +690,16 @@ class CustomerService {
         throw AppError.validationError('variant', variant, 'Valid variant required: header, summary, detail');
       }
 
-      const users = await this.customerModel[methodName](accountId, client, requestId);
+      // Cached per account; the owning customer's tag covers user and customer status changes
+      const users = await getOrLoad(`GET /accounts/:id/users/${variant}|accountId:${accountId}`, async () => {
+        const accountUsers = await this.customerModel[methodName](accountId, client, requestId);
+        const account = await client.account.findUnique({ where: { accountId }, select: { customerId: true } });
+
+        return {
+          value: accountUsers,
+          tags: tagsOf({ accountId, customerId: account?.customerId })
+        };
+      }, requestId);
 
       logger.debugSafe('Users by account retrieved', {
         accountId,
@@ -90,7 +719,7 @@ class CustomerService {
     }
   }
 
-  async getUsersByCustomer(customerId, variant, requestId = null) {
+  async getUsersByCustomer(customerId, variant, accountScope = null, requestId = null) {
     const logger = createRequestLogger(requestId, 'customer-service');
 
     try {
@@ -107,7 +736,19 @@ class CustomerService {
         throw AppError.validationError('variant', variant, 'Valid variant required: header, summary, detail');
       }
 
-      const users = await this.customerModel[methodName](customerId, client, requestId);
+      // Cached per customer and account scope; scoped lists also change with assignments to scope accounts
+      const users = await getOrLoad(`GET /customers/:id/users/${variant}|customerId:${customerId}|${this._accountScopeKey(accountScope)}`, async () => {
+        const customerUsers = await this.customerModel[methodName](customerId, accountScope, client, requestId);
+
+        return {
+          value: customerUsers,
+          tags: [
+            ...tagsOf({ customerId }),
+            ...customerUsers.flatMap(user => tagsOf({ userId: user.user_id })),
+            ...(accountScope || []).flatMap(accountId => tagsOf({ accountId }))
+          ]
+        };
+      }, requestId);
 
       logger.debugSafe('Users by customer retrieved', {
         customerId,
@@ -158,14 +799,94 @@ class CustomerService {
     }
   }
 
+  // ========================================
+  // ACCOUNT SCOPE
+  // ========================================
+
+  /**
+   * Resolve accounts the caller may see within their customer
+   * Internal staff and roles with allAccounts (customer administrators) are unrestricted
+   * @param {Object} principal - Authorized caller (req.principal), null when authentication is off
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Array<number>|null>} Assigned accounts plus their descendants, null for no restriction
+   */
+  async resolveAccountScope(principal, requestId = null) {
+    if (!principal || !principal.isCustomer) {
+      return null;
+    }
+
+    const role = businessConfig.authorization.roles[principal.userRoleId];
+    if (role && role.allAccounts) {
+      return null;
+    }
+
+    const client = await getClient(requestId);
+    return this.customerModel.findAccessibleAccountIds(principal.userId, client);
+  }
+
+  /**
+   * Reject accounts outside the caller's account scope
+   * @param {Array<number>} accountIds - Targeted accounts
+   * @param {Array<number>|null} accountScope - Caller's visible accounts (null: all)
+   * @param {string} action - Attempted action, reported in the error
+   * @throws {AppError} Forbidden naming the first account out of scope
+   */
+  assertAccountScope(accountIds, accountScope, action) {
+    if (!accountScope) {
+      return;
+    }
+
+    const outOfScope = accountIds.find(accountId => !accountScope.includes(accountId));
+    if (outOfScope !== undefined) {
+      throw AppError.forbidden(action, `account ${outOfScope}`);
+    }
+  }
+
+  /**
+   * Root accounts are outside every account scope: scoped callers can neither create
+   * one nor move an account to the top of the hierarchy (the route policy only sees
+   * non-null parents)
+   * @private
+   */
+  _assertRootAccountScope(changes, existing, accountScope, action) {
+    if (accountScope && changes.parentAccountId === null && (!existing || existing.parentAccountId !== null)) {
+      throw AppError.forbidden(action, 'root account (outside the account scope)');
+    }
+  }
+
+  /**
+   * Users are within the account scope when all their assignments are: scoped callers
+   * cannot reach users assigned elsewhere (or to nothing), who are missing from
+   * their user listings too
+   * @private
+   */
+  async _assertUserAccountScope(userId, accountScope, action, client) {
+    if (!accountScope) {
+      return;
+    }
+
+    const assignments = await client.userHasAccount.findMany({
+      where: { userId },
+      select: { accountId: true }
+    });
+
+    if (assignments.length === 0) {
+      throw AppError.forbidden(action, `user '${userId}' (outside the account scope)`);
+    }
+    this.assertAccountScope(assignments.map(assignment => assignment.accountId), accountScope, action);
+  }
+
   // ========================================
   // FIXED ACCOUNT MANAGEMENT METHODS ✅
   // ========================================
 
   /**
    * Get accounts by user ID - FIXED to work with actual schema
+   * Limited to the caller's account scope when one is given
+   * @param {Object} pagination - { cursor } or { page, perPage }, see GenericRepository.findAll
+   * @param {Object} listQuery - { where, orderBy } from parseListQuery('account', ...)
    */
-  async getAccountsByUserId(userId, pagination, filters, requestId = null) {
+  async getAccountsByUserId(userId, pagination, listQuery, accountScope = null, requestId = null) {
     const logger = createRequestLogger(requestId, 'customer-service');
 
     try {
@@ -174,105 +895,29 @@ class CustomerService {
       logger.info('Getting accounts by user ID', {
         userId,
         page: pagination.page,
-        perPage: pagination.perPage
-      });
-
-      // FIXED: Use correct schema - get user with junction table
-      const user = await client.user.findUnique({
-        where: { userId: userId }, // Fixed: use correct field name
-        select: { 
-          userId: true,
-          customerId: true,
-          userHasAccounts: {  // Fixed: use correct relationship
-            select: {
-              accountId: true,
-              status: true
-            },
-            where: {
-              status: 'ACT'  // Only active relationships
-            }
-          }
-        }
+        perPage: pagination.perPage,
+        hasCursor: !!pagination.cursor
       });
 
-      if (!user) {
-        throw AppError.notFound('user', userId);
-      }
-
-      // Extract account IDs from junction table
-      const accountIds = user.userHasAccounts.map(uha => uha.accountId);
-
-      if (accountIds.length === 0) {
-        return {
-          data: [],
-          totalCount: 0
-        };
-      }
-
-      // Build where clause with correct field names
-      const whereClause = {
-        accountId: { in: accountIds },  // Fixed: use correct field name
-        ...(user.customerId && { customerId: user.customerId }),  // Fixed: use correct field name
-        ...(filters.account_name && {
-          accountName: {  // Fixed: use correct field name
-            contains: String(filters.account_name),
-            mode: 'insensitive'
-          }
-        }),
-        ...(filters.account_number && {
-          accountNumber: {  // Fixed: use correct field name
-            contains: String(filters.account_number),
-            mode: 'insensitive'
-          }
-        }),
-        ...(filters.account_type && { accountType: String(filters.account_type) }),  // Fixed
-        ...(filters.status && { status: String(filters.status) })
-      };
-
-      const skip = (pagination.page - 1) * pagination.perPage;
+      const user = await this._findUserForAccountListing(userId, client);
+      const whereClause = this._buildUserAccountsWhere(user, listQuery.where, accountScope);
 
-      // Execute with correct field names
-      const [totalCount, accounts] = await Promise.all([
-        client.account.count({ where: whereClause }),
-        client.account.findMany({
-          where: whereClause,
-          skip,
-          take: pagination.perPage,
-          orderBy: { accountId: 'asc' },  // Fixed: use correct field name
-          select: {
-            accountId: true,        // Fixed: all field names
-            parentAccountId: true,
-            customerId: true,
-            accountName: true,
-            accountNumber: true,
-            legacyAccountNumber: true,
-            accountType: true,
-            accountManagerId: true,
-            numberOfUsers: true,
-            status: true,
-            createdAt: true,
-            createdBy: true,
-            updatedAt: true,
-            updatedBy: true,
-            customer: {
-              select: {
-                customerName: true  // Fixed: use correct field name
-              }
-            }
-          }
-        })
-      ]);
+      const result = await this.accountRepository.findAll({
+        where: whereClause,
+        orderBy: listQuery.orderBy,
+        select: USER_ACCOUNT_LIST_SELECT,
+        cursor: pagination.cursor,
+        page: pagination.page,
+        limit: pagination.perPage
+      }, client, requestId);
 
       logger.info('Accounts retrieved successfully', {
         userId,
-        totalCount,
-        returnedCount: accounts.length
+        totalCount: result.pagination.totalCount,
+        returnedCount: result.data.length
       });
 
-      return {
-        data: accounts,
-        totalCount
-      };
+      return this._toListPage(result);
 
     } catch (error) {
       logger.error('Failed to get accounts by user ID', {
@@ -285,8 +930,10 @@ class CustomerService {
 
   /**
    * Get secondary contacts - FIXED to work with actual schema
+   * @param {Object} pagination - { cursor } or { page, perPage }, see GenericRepository.findAll
+   * @param {Object} listQuery - { where, orderBy } from parseListQuery('user', ...)
    */
-  async getSecondaryContacts(accountId, pagination, filters, requestId = null) {
+  async getSecondaryContacts(accountId, pagination, listQuery, requestId = null) {
     const logger = createRequestLogger(requestId, 'customer-service');
 
     try {
@@ -294,70 +941,28 @@ class CustomerService {
       
       logger.info('Getting secondary contacts for account', {
         accountId,
-        page: pagination.page
+        page: pagination.page,
+        hasCursor: !!pagination.cursor
       });
 
-      // FIXED: Use junction table to find users assigned to account
-      const whereClause = {
-        userHasAccounts: {  // Fixed: use correct relationship
-          some: {
-            accountId: accountId,
-            status: 'ACT'
-          }
-        },
-        ...(filters.first_name && {
-          firstName: { contains: String(filters.first_name), mode: 'insensitive' }  // Fixed
-        }),
-        ...(filters.last_name && {
-          lastName: { contains: String(filters.last_name), mode: 'insensitive' }  // Fixed
-        }),
-        ...(filters.email && {
-          email: { contains: String(filters.email), mode: 'insensitive' }
-        }),
-        ...(filters.designation && {
-          designation: { contains: String(filters.designation), mode: 'insensitive' }
-        }),
-        ...(filters.status && {
-          status: { contains: String(filters.status), mode: 'insensitive' }
-        }),
-        ...(filters.phone_number && {
-          phoneNumber: { contains: String(filters.phone_number), mode: 'insensitive' }  // Fixed
-        })
-      };
+      const whereClause = this._buildSecondaryContactsWhere(accountId, listQuery.where);
 
-      const skip = (pagination.page - 1) * pagination.perPage;
-
-      const [totalCount, users] = await Promise.all([
-        client.user.count({ where: whereClause }),
-        client.user.findMany({
-          where: whereClause,
-          skip,
-          take: pagination.perPage,
-          orderBy: [{ userId: 'asc' }],  // Fixed: use correct field name
-          select: {
-            userId: true,         // Fixed: all field names
-            firstName: true,
-            lastName: true,
-            email: true,
-            designation: true,
-            status: true,
-            phoneNumber: true,
-            avatar: true,
-            isCustomer: true
-          }
-        })
-      ]);
+      const result = await this.userRepository.findAll({
+        where: whereClause,
+        orderBy: listQuery.orderBy,
+        select: SECONDARY_CONTACT_SELECT,
+        cursor: pagination.cursor,
+        page: pagination.page,
+        limit: pagination.perPage
+      }, client, requestId);
 
       logger.info('Secondary contacts retrieved successfully', {
         accountId,
-        totalCount,
-        returnedCount: users.length
+        totalCount: result.pagination.totalCount,
+        returnedCount: result.data.length
       });
 
-      return {
-        data: users,
-        totalCount
-      };
+      return this._toListPage(result);
 
     } catch (error) {
       logger.error('Failed to get secondary contacts', {
@@ -370,8 +975,9 @@ class CustomerService {
 
   /**
    * Get account primary contact and related - FIXED
+   * Related accounts outside the caller's account scope are left out
    */
-  async getAccountPrimaryContactAndRelated(accountId, customerId, requestId = null) {
+  async getAccountPrimaryContactAndRelated(accountId, customerId, accountScope = null, requestId = null) {
     const logger = createRequestLogger(requestId, 'customer-service');
 
     try {
@@ -412,17 +1018,7 @@ class CustomerService {
           where: {
             userId: selectedAccount.primaryContactUserId  // Fixed
           },
-          select: {
-            userId: true,     // Fixed: all field names
-            firstName: true,
-            lastName: true,
-            email: true,
-            phoneNumber: true,
-            designation: true,
-            avatar: true,
-            status: true,
-            isCustomer: true
-          }
+          select: PRIMARY_CONTACT_SELECT
         });
       }
 
@@ -433,17 +1029,11 @@ class CustomerService {
         // Parent account -> get children
         relatedAccounts = await client.account.findMany({
           where: {
-            parentAccountId: selectedAccount.accountId  // Fixed
-          },
-          select: {
-            accountId: true,          // Fixed: all field names
-            accountName: true,
-            accountNumber: true,
-            legacyAccountNumber: true,
-            accountType: true,
-            status: true,
-            numberOfUsers: true
+            parentAccountId: selectedAccount.accountId,  // Fixed
+            status: 'ACT',                                // Exclude soft-deleted children
+            ...accountScopeWhere(accountScope)
           },
+          select: RELATED_ACCOUNT_SELECT,
           orderBy: { accountId: 'asc' }  // Fixed
         });
       } else {
@@ -453,36 +1043,28 @@ class CustomerService {
             where: {
               accountId: selectedAccount.parentAccountId  // Fixed
             },
-            select: {
-              accountId: true,        // Fixed: all field names
-              accountName: true,
-              accountNumber: true,
-              legacyAccountNumber: true,
-              accountType: true,
-              status: true,
-              numberOfUsers: true
-            }
+            select: RELATED_ACCOUNT_SELECT
           }),
           client.account.findMany({
             where: {
-              parentAccountId: selectedAccount.parentAccountId,  // Fixed
-              accountId: { not: selectedAccount.accountId }      // Fixed
-            },
-            select: {
-              accountId: true,      // Fixed: all field names
-              accountName: true,
-              accountNumber: true,
-              legacyAccountNumber: true,
-              accountType: true,
-              status: true,
-              numberOfUsers: true
+              AND: [
+                {
+                  parentAccountId: selectedAccount.parentAccountId,  // Fixed
+                  accountId: { not: selectedAccount.accountId },     // Fixed
+                  status: 'ACT'                                      // Exclude soft-deleted siblings
+                },
+                accountScopeWhere(accountScope)
+              ]
             },
+            select: RELATED_ACCOUNT_SELECT,
             orderBy: { accountId: 'asc' }  // Fixed
           })
         ]);
 
+        const parentVisible = parentAccount && (!accountScope || accountScope.includes(parentAccount.accountId));
+
         relatedAccounts = [
-          ...(parentAccount ? [{ ...parentAccount, relationship: 'parent' }] : []),
+          ...(parentVisible ? [{ ...parentAccount, relationship: 'parent' }] : []),
           ...siblingAccounts.map(account => ({
             ...account,
             relationship: 'sibling'
@@ -527,8 +1109,9 @@ class CustomerService {
 
   /**
    * Get minimal user accounts - FIXED
+   * Limited to the caller's account scope when one is given
    */
-  async getUserAccountsMinimal(userId, requestId = null) {
+  async getUserAccountsMinimal(userId, accountScope = null, requestId = null) {
     const logger = createRequestLogger(requestId, 'customer-service');
 
     try {
@@ -554,7 +1137,8 @@ class CustomerService {
               }
             },
             where: {
-              status: 'ACT'
+              ...effectiveAssignmentWhere(),
+              ...accountScopeWhere(accountScope)
             }
           }
         }
@@ -583,64 +1167,1799 @@ class CustomerService {
     }
   }
   
-  async downloadAccountsByUserId(userId, pagination, filters, res, requestId = null) {
-    // Get the data
-    const result = await this.getAccountsByUserId(userId, pagination, filters, requestId);
-    
-    // Create CSV
-    const csv = this._generateAccountsCSV(result.data);
-    const filename = `user_${userId}_accounts.csv`;
-    
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
-    res.send(csv);
-  }
-
-  async downloadSecondaryContacts(accountId, pagination, filters, res, requestId = null) {
-    // Get the data  
-    const result = await this.getSecondaryContacts(accountId, pagination, filters, requestId);
-    
-    // Create CSV
-    const csv = this._generateContactsCSV(result.data);
-    const filename = `account_${accountId}_contacts.csv`;
-    
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
-    res.send(csv);
+  /**
+   * Stream all accounts of a user as CSV or XLSX (no row cap, fetched in keyset chunks)
+   * XLSX workbooks get one sheet per account hierarchy level
+   * @param {number} userId - User ID
+   * @param {Object} options - { columns: comma separated column keys, format: csv|xlsx,
+   *                            accountScope: caller's visible accounts or null }
+   * @param {Object} filterWhere - Prisma where from parseListQuery('account', ...)
+   * @param {Object} res - Express response
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<number>} Rows exported
+   */
+  async downloadAccountsByUserId(userId, options, filterWhere, res, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+    const client = await getClient(requestId);
+    const format = this._resolveExportFormat(options.format);
+
+    const user = await this._findUserForAccountListing(userId, client);
+    const exportColumns = resolveColumns(ACCOUNT_EXPORT_COLUMNS, options.columns, ACCOUNT_EXPORT_DEFAULT_COLUMNS);
+    const whereClause = this._buildUserAccountsWhere(user, filterWhere, options.accountScope);
+    const filename = `user_${userId}_accounts.${format}`;
+
+    const rowCount = format === 'xlsx'
+      ? await streamWorkbook(res, {
+        filename,
+        columns: exportColumns,
+        requestId,
+        sheets: await this._buildAccountLevelSheets(client, user.customerId, whereClause)
+      })
+      : await streamCsv(res, {
+        filename,
+        columns: exportColumns,
+        requestId,
+        fetchChunk: (cursor) => this._fetchExportChunk(client.account, whereClause, 'accountId', USER_ACCOUNT_LIST_SELECT, cursor)
+      });
+
+    logger.info('Accounts export streamed', {
+      userId,
+      format,
+      rowCount
+    });
+
+    return rowCount;
   }
 
-  // Helper methods
-  _capitalizeVariant(variant) {
-    return variant.charAt(0).toUpperCase() + variant.slice(1);
+  /**
+   * Stream all secondary contacts of an account as CSV or XLSX (no row cap, fetched in keyset chunks)
+   * @param {number} accountId - Account ID
+   * @param {Object} options - { columns: comma separated column keys, format: csv|xlsx }
+   * @param {Object} filterWhere - Prisma where from parseListQuery('user', ...)
+   * @param {Object} res - Express response
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<number>} Rows exported
+   */
+  async downloadSecondaryContacts(accountId, options, filterWhere, res, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+    const client = await getClient(requestId);
+    const format = this._resolveExportFormat(options.format);
+
+    const exportColumns = resolveColumns(CONTACT_EXPORT_COLUMNS, options.columns, CONTACT_EXPORT_DEFAULT_COLUMNS);
+    const whereClause = this._buildSecondaryContactsWhere(accountId, filterWhere);
+    const filename = `account_${accountId}_contacts.${format}`;
+    const fetchChunk = (cursor) => this._fetchExportChunk(client.user, whereClause, 'userId', SECONDARY_CONTACT_SELECT, cursor);
+
+    const rowCount = format === 'xlsx'
+      ? await streamWorkbook(res, {
+        filename,
+        columns: exportColumns,
+        requestId,
+        sheets: [{ name: 'Contacts', fetchChunk }]
+      })
+      : await streamCsv(res, { filename, columns: exportColumns, requestId, fetchChunk });
+
+    logger.info('Secondary contacts export streamed', {
+      accountId,
+      format,
+      rowCount
+    });
+
+    return rowCount;
+  }
+
+  /**
+   * Create account under a customer
+   * @param {Object} accountData - Account fields (customerId and countryLookupId required)
+   * @param {Array<number>|null} accountScope - Caller's visible accounts (null: all)
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Created account
+   */
+  async createAccount(accountData, accountScope, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const changes = this._fillOmittedFields(
+        this._validateEntityChanges('account', accountData, ACCOUNT_FIELD_RULES, ACCOUNT_SERVER_MANAGED_FIELDS, { partial: false }),
+        ACCOUNT_FIELD_RULES
+      );
+
+      this._assertRootAccountScope(changes, null, accountScope, 'create');
+
+      logger.info('Creating account', {
+        customerId: changes.customerId,
+        parentAccountId: changes.parentAccountId
+      });
+
+      const account = await executeTransaction(async (tx) => {
+        await this._assertAccountHierarchy(null, changes, tx);
+
+        return this.accountRepository.create(
+          { ...changes, numberOfUsers: 0 },
+          tx,
+          requestId
+        );
+      }, requestId);
+
+      logger.info('Account created successfully', {
+        accountId: account.accountId,
+        customerId: account.customerId
+      });
+
+      return account;
+
+    } catch (error) {
+      logger.error('Failed to create account', {
+        customerId: accountData?.customerId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
   }
 
-  _generateAccountsCSV(accounts) {
-    const headers = ['Account ID', 'Account Name', 'Account Number', 'Account Type', 'Status', 'Customer Name'];
-    const rows = accounts.map(account => [
-      account.accountId,
-      account.accountName,
-      account.accountNumber,
-      account.accountType,
-      account.status,
-      account.customer?.customerName || ''
+  /**
+   * Conditional GET validators of an account with its parent and active children;
+   * assignments are included because they drive numberOfUsers, which is synced
+   * without touching the account version
+   * @param {number} accountId - Account ID
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} { etag, lastModified }
+   */
+  async getAccountValidators(accountId, requestId = null) {
+    const client = await getClient(requestId);
+    const account = await client.account.findUnique({
+      where: { accountId },
+      select: { updatedAt: true, createdAt: true, parentAccountId: true }
+    });
+
+    if (!account) {
+      throw AppError.notFound('account', accountId);
+    }
+
+    const parent = account.parentAccountId !== null ? [{ accountId: account.parentAccountId }] : [];
+    const [related, assignments] = await Promise.all([
+      this._rowSetState(
+        client.account,
+        { OR: [{ parentAccountId: accountId, status: 'ACT' }, ...parent] },
+        { OR: [{ parentAccountId: accountId }, ...parent] }
+      ),
+      this._rowSetState(client.userHasAccount, { accountId, status: 'ACT' }, { accountId })
     ]);
-    
-    return [headers, ...rows].map(row => row.join(',')).join('\n');
-  }
-
-  _generateContactsCSV(contacts) {
-    const headers = ['User ID', 'First Name', 'Last Name', 'Email', 'Phone', 'Designation', 'Status'];
-    const rows = contacts.map(contact => [
-      contact.userId,
-      contact.firstName,
-      contact.lastName,
-      contact.email,
-      contact.phoneNumber,
-      contact.designation,
-      contact.status
+
+    return this._buildValidators('account', accountId, account, { related, assignments });
+  }
+
+  /**
+   * Get account with its parent and active child accounts
+   * @param {number} accountId - Account ID
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Account
+   */
+  async getAccountById(accountId, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const client = await getClient(requestId);
+
+      const account = await client.account.findUnique({
+        where: { accountId },
+        include: {
+          parentAccount: { select: RELATED_ACCOUNT_SELECT },
+          childAccounts: {
+            where: { status: 'ACT' },
+            select: RELATED_ACCOUNT_SELECT,
+            orderBy: { accountId: 'asc' }
+          }
+        }
+      });
+
+      if (!account) {
+        throw AppError.notFound('account', accountId);
+      }
+
+      logger.debugSafe('Account retrieved', {
+        accountId,
+        childCount: account.childAccounts.length
+      });
+
+      return account;
+
+    } catch (error) {
+      logger.error('Failed to get account', {
+        accountId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all editable account fields (PUT semantics)
+   * Omitted optional fields are reset to their default or cleared;
+   * If-Match is honored when sent
+   * @param {number} accountId - Account ID
+   * @param {Object} accountData - Complete account representation
+   * @param {string} ifMatch - Optional If-Match header carrying the account version
+   * @param {Array<number>|null} accountScope - Caller's visible accounts (null: all)
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Updated account
+   */
+  async replaceAccount(accountId, accountData, ifMatch, accountScope, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const changes = this._fillOmittedFields(
+        this._validateEntityChanges('account', accountData, ACCOUNT_FIELD_RULES, ACCOUNT_SERVER_MANAGED_FIELDS, { partial: false }),
+        ACCOUNT_FIELD_RULES
+      );
+
+      const precondition = ifMatch ? parseIfMatch(ifMatch, 'account', accountId) : { any: true };
+      if (!precondition.any && !precondition.version) {
+        throw AppError.preconditionFailed('account', accountId);
+      }
+
+      logger.info('Replacing account', {
+        accountId,
+        parentAccountId: changes.parentAccountId
+      });
+
+      const account = await executeTransaction(async (tx) => {
+        const existing = await this.accountRepository.findById(accountId, tx, requestId);
+
+        if (!existing) {
+          throw AppError.notFound('account', accountId);
+        }
+        if (existing.status === businessConfig.softDelete.deletedStatus) {
+          throw AppError.conflict(`account '${accountId}'`, 'is deleted; restore it before updating');
+        }
+        if (existing.customerId !== changes.customerId) {
+          throw AppError.validationError('customerId', changes.customerId, 'Accounts cannot be moved to another customer');
+        }
+
+        this._assertRootAccountScope(changes, existing, accountScope, 'update');
+        await this._assertAccountHierarchy(accountId, changes, tx);
+
+        return this.accountRepository.updateById(
+          accountId,
+          changes,
+          tx,
+          requestId,
+          { expectedVersion: precondition.version || null }
+        );
+      }, requestId);
+
+      logger.info('Account replaced successfully', { accountId });
+
+      return account;
+
+    } catch (error) {
+      logger.error('Failed to replace account', {
+        accountId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create user linked to an Auth0 identity
+   * @param {Object} userData - User fields (customerId, auth0ReferenceId, userRoleId required)
+   * @param {Object|null} principal - Authorized caller (req.principal), null when authentication is off
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Created user
+   */
+  async createUser(userData, principal, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const changes = this._fillOmittedFields(
+        this._validateEntityChanges('user', userData, USER_FIELD_RULES, USER_SERVER_MANAGED_FIELDS, { partial: false }),
+        USER_FIELD_RULES
+      );
+
+      this._assertUserPrivileges(principal, changes, null);
+
+      logger.info('Creating user', {
+        customerId: changes.customerId,
+        userRoleId: changes.userRoleId
+      });
+
+      const user = await executeTransaction(async (tx) => {
+        await this._assertUserReferences(null, changes, tx);
+
+        return this.userRepository.create(
+          changes,
+          tx,
+          requestId
+        );
+      }, requestId);
+
+      logger.info('User created successfully', {
+        userId: user.userId,
+        customerId: user.customerId
+      });
+
+      return user;
+
+    } catch (error) {
+      logger.error('Failed to create user', {
+        customerId: userData?.customerId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Conditional GET validators of a user with its active assignments and their accounts
+   * @param {number} userId - User ID
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} { etag, lastModified }
+   */
+  async getUserValidators(userId, requestId = null) {
+    const client = await getClient(requestId);
+    const user = await client.user.findUnique({
+      where: { userId },
+      select: { updatedAt: true, createdAt: true }
+    });
+
+    if (!user) {
+      throw AppError.notFound('user', userId);
+    }
+
+    const assignmentWhere = { userId, status: 'ACT' };
+    const [assignments, accounts] = await Promise.all([
+      this._rowSetState(client.userHasAccount, assignmentWhere, { userId }),
+      this._rowSetState(
+        client.account,
+        { userHasAccounts: { some: assignmentWhere } },
+        { userHasAccounts: { some: { userId } } }
+      )
     ]);
-    
-    return [headers, ...rows].map(row => row.join(',')).join('\n');
+
+    return this._buildValidators('user', userId, user, { assignments, accounts });
+  }
+
+  /**
+   * Get user with active account assignments
+   * @param {number} userId - User ID
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} User
+   */
+  async getUserById(userId, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const client = await getClient(requestId);
+
+      const user = await client.user.findUnique({
+        where: { userId },
+        include: {
+          userHasAccounts: {
+            where: { status: 'ACT' },
+            select: USER_ACCOUNT_SELECT,
+            orderBy: { accountId: 'asc' }
+          }
+        }
+      });
+
+      if (!user) {
+        throw AppError.notFound('user', userId);
+      }
+
+      const { userHasAccounts, ...result } = user;
+      result.accounts = userHasAccounts.map(({ account, ...assignment }) => ({ ...assignment, ...account }));
+
+      logger.debugSafe('User retrieved', {
+        userId,
+        accountCount: result.accounts.length
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to get user', {
+        userId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all editable user fields (PUT semantics)
+   * Omitted optional fields are reset to their default or cleared (isCustomer is kept);
+   * If-Match is honored when sent
+   * @param {number} userId - User ID
+   * @param {Object} userData - Complete user representation
+   * @param {string} ifMatch - Optional If-Match header carrying the user version
+   * @param {Object|null} principal - Authorized caller (req.principal), null when authentication is off
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Updated user
+   */
+  async replaceUser(userId, userData, ifMatch, principal, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      // An omitted isCustomer is left as stored, never reset to the default
+      const changes = this._fillOmittedFields(
+        this._validateEntityChanges('user', userData, USER_FIELD_RULES, USER_SERVER_MANAGED_FIELDS, { partial: false }),
+        omitFields(USER_FIELD_RULES, ['isCustomer'])
+      );
+
+      const precondition = ifMatch ? parseIfMatch(ifMatch, 'user', userId) : { any: true };
+      if (!precondition.any && !precondition.version) {
+        throw AppError.preconditionFailed('user', userId);
+      }
+
+      logger.info('Replacing user', { userId });
+
+      const user = await executeTransaction(async (tx) => {
+        const existing = await this.userRepository.findById(userId, tx, requestId);
+
+        if (!existing) {
+          throw AppError.notFound('user', userId);
+        }
+        if (existing.status === businessConfig.softDelete.deletedStatus) {
+          throw AppError.conflict(`user '${userId}'`, 'is deleted; restore it before updating');
+        }
+        if (existing.customerId !== changes.customerId) {
+          throw AppError.validationError('customerId', changes.customerId, 'Users cannot be moved to another customer');
+        }
+        if (existing.auth0ReferenceId !== changes.auth0ReferenceId) {
+          throw AppError.validationError('auth0ReferenceId', changes.auth0ReferenceId, 'Auth0 reference cannot be changed after creation');
+        }
+
+        this._assertUserPrivileges(principal, changes, existing);
+        await this._assertUserReferences(userId, changes, tx);
+
+        return this.userRepository.updateById(
+          userId,
+          changes,
+          tx,
+          requestId,
+          { expectedVersion: precondition.version || null }
+        );
+      }, requestId);
+
+      logger.info('User replaced successfully', { userId });
+
+      return user;
+
+    } catch (error) {
+      logger.error('Failed to replace user', {
+        userId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Assign user to account, effective immediately or from a future effectiveDate
+   * Re-assigning a removed pair reactivates the existing junction row
+   * @param {number} userId - User ID
+   * @param {number} accountId - Account ID (must belong to the user's customer)
+   * @param {Object} assignmentData - Optional { effectiveDate }
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} { accountId, action, assignment }
+   */
+  async assignUserToAccount(userId, accountId, assignmentData, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const effectiveDate = this._parseEffectiveDate(assignmentData);
+
+      logger.info('Assigning user to account', {
+        userId,
+        accountId,
+        effectiveDate
+      });
+
+      const result = await executeTransaction(async (tx) => {
+        const user = await this._findAssignableUser(userId, tx);
+        const assigned = await this._upsertAssignment(user, accountId, effectiveDate, tx);
+
+        await this._syncAccountUserCounts([accountId], tx);
+
+        return assigned;
+      }, requestId);
+
+      logger.info('User assigned to account successfully', {
+        userId,
+        accountId,
+        action: result.action
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to assign user to account', {
+        userId,
+        accountId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Assign user to many accounts in one transaction; any invalid account rolls back all
+   * @param {number} userId - User ID
+   * @param {Object} assignmentData - { accountIds, effectiveDate }
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Per-account results and action counts
+   */
+  async assignUserToAccounts(userId, assignmentData, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const { maxBulkAccounts } = businessConfig.assignments;
+      const accountIds = assignmentData?.accountIds;
+
+      if (!Array.isArray(accountIds) || accountIds.length === 0) {
+        throw AppError.validationError('accountIds', accountIds, 'Must be a non-empty array of account IDs');
+      }
+      if (accountIds.length > maxBulkAccounts) {
+        throw AppError.validationError('accountIds', accountIds.length, `At most ${maxBulkAccounts} accounts per request`);
+      }
+      const invalidId = accountIds.find(id => !Number.isInteger(id) || id <= 0);
+      if (invalidId !== undefined) {
+        throw AppError.validationError('accountIds', invalidId, 'Account IDs must be positive integers');
+      }
+
+      const uniqueAccountIds = [...new Set(accountIds)];
+      const effectiveDate = this._parseEffectiveDate(assignmentData, ['accountIds', 'effectiveDate']);
+
+      logger.info('Assigning user to accounts', {
+        userId,
+        accountCount: uniqueAccountIds.length,
+        effectiveDate
+      });
+
+      const results = await executeTransaction(async (tx) => {
+        const user = await this._findAssignableUser(userId, tx);
+        const assigned = [];
+
+        for (const accountId of uniqueAccountIds) {
+          assigned.push(await this._upsertAssignment(user, accountId, effectiveDate, tx));
+        }
+
+        await this._syncAccountUserCounts(uniqueAccountIds, tx);
+
+        return assigned;
+      }, requestId);
+
+      const summary = results.reduce((counts, result) => {
+        counts[result.action] = (counts[result.action] || 0) + 1;
+        return counts;
+      }, {});
+
+      logger.info('User assigned to accounts successfully', {
+        userId,
+        summary
+      });
+
+      return { userId, results, summary };
+
+    } catch (error) {
+      logger.error('Failed to assign user to accounts', {
+        userId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove user from account (the junction row is kept with the deleted status)
+   * @param {number} userId - User ID
+   * @param {number} accountId - Account ID
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Removed assignment
+   */
+  async removeUserFromAccount(userId, accountId, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      logger.info('Removing user from account', {
+        userId,
+        accountId
+      });
+
+      const assignment = await executeTransaction(async (tx) => {
+        const existing = await tx.userHasAccount.findFirst({
+          where: { userId, accountId, status: 'ACT' }
+        });
+
+        if (!existing) {
+          throw AppError.notFound('assignment', `user ${userId} / account ${accountId}`);
+        }
+
+        const removed = await this.userHasAccountRepository.updateById(
+          existing.userHasAccountId,
+          { status: businessConfig.softDelete.deletedStatus },
+          tx,
+          requestId
+        );
+
+        await this._syncAccountUserCounts([accountId], tx);
+
+        return removed;
+      }, requestId);
+
+      logger.info('User removed from account successfully', {
+        userId,
+        accountId
+      });
+
+      return assignment;
+
+    } catch (error) {
+      logger.error('Failed to remove user from account', {
+        userId,
+        accountId,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Import customers with their account hierarchy and users
+   * Every record is validated first; a dry run only reports, otherwise the
+   * whole batch is written in one transaction or rejected with all row errors
+   * @param {Object|string} payload - JSON document ({ customers: [...] }) or CSV text
+   * @param {string} format - json or csv
+   * @param {boolean} dryRun - Validate without writing
+   * @param {string} requestId - Request correlation ID
+   * @returns {Promise<Object>} Validation report, plus created IDs when committed
+   */
+  async importCustomers(payload, format, dryRun, requestId = null) {
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      const batch = format === 'csv'
+        ? this._normalizeCsvImport(parseCsv(payload))
+        : this._normalizeJsonImport(payload);
+
+      const recordCount = batch.reduce((total, entry) => total + 1 + entry.accounts.length + entry.users.length, 0);
+      if (recordCount > businessConfig.import.maxRecords) {
+        throw AppError.validationError('records', recordCount, `At most ${businessConfig.import.maxRecords} records per import`);
+      }
+
+      logger.info('Importing customers', {
+        format,
+        dryRun,
+        customerCount: batch.length,
+        recordCount
+      });
+
+      const client = await getClient(requestId);
+      const { plans, errors } = await this._planImport(batch, client);
+
+      const report = {
+        dryRun,
+        valid: errors.length === 0,
+        summary: {
+          customers: plans.length,
+          accounts: plans.reduce((total, plan) => total + plan.accounts.length, 0),
+          users: plans.reduce((total, plan) => total + plan.users.length, 0),
+          assignments: plans.reduce((total, plan) =>
+            total + plan.users.reduce((count, user) => count + user.accountRefs.length, 0), 0)
+        },
+        errors
+      };
+
+      if (dryRun) {
+        logger.info('Customer import dry run completed', {
+          valid: report.valid,
+          errorCount: errors.length
+        });
+        return report;
+      }
+
+      if (errors.length > 0) {
+        throw AppError.validationErrors(errors);
+      }
+
+      const customers = await executeTransaction(async (tx) => {
+        const created = [];
+        for (const plan of plans) {
+          created.push(await this._commitImportPlan(plan, tx));
+        }
+        return created;
+      }, requestId, { timeout: techConfig.database.bulkTransactionTimeoutMs });
+
+      logger.info('Customer import committed', report.summary);
+
+      return { ...report, customers };
+
+    } catch (error) {
+      logger.error('Failed to import customers', {
+        format,
+        dryRun,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Update customer guarded by the If-Match version token
+   * @private
+   */
+  async _updateCustomerVersioned(customerId, changes, ifMatch, mode) {
+    const requestId = getRequestId();
+    const logger = createRequestLogger(requestId, 'customer-service');
+
+    try {
+      if (!ifMatch) {
+        throw AppError.preconditionRequired('If-Match');
+      }
+
+      const precondition = parseIfMatch(ifMatch, 'customer', customerId);
+      if (!precondition.any && !precondition.version) {
+        throw AppError.preconditionFailed('customer', customerId);
+      }
+
+      logger.info('Updating customer', {
+        customerId,
+        mode,
+        fields: Object.keys(changes)
+      });
+
+      const customer = await executeTransaction(async (tx) => {
+        return this.customerRepository.updateById(
+          customerId,
+          changes,
+          tx,
+          requestId,
+          { expectedVersion: precondition.version || null }
+        );
+      }, requestId);
+
+      logger.info('Customer updated successfully', {
+        customerId,
+        mode
+      });
+
+      return customer;
+
+    } catch (error) {
+      logger.error('Failed to update customer', {
+        customerId,
+        mode,
+        errorMessage: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Validate account references: active customer, parent within the same customer
+   * without cycles, accountNumber unique per customer, primary contact of the customer
+   * @private
+   * @param {number|null} accountId - Account being updated, null on create
+   * @param {Object} changes - Validated account fields
+   * @param {PrismaClient} client - Prisma transaction
+   */
+  async _assertAccountHierarchy(accountId, changes, client) {
+    const { deletedStatus } = businessConfig.softDelete;
+    const { customerId, parentAccountId, accountNumber, primaryContactUserId } = changes;
+
+    const customer = await this.customerRepository.findById(customerId, client);
+    if (!customer) {
+      throw AppError.validationError('customerId', customerId, 'Customer does not exist');
+    }
+    if (customer.status === deletedStatus) {
+      throw AppError.conflict(`customer '${customerId}'`, 'is deleted');
+    }
+
+    if (parentAccountId !== null) {
+      if (parentAccountId === accountId) {
+        throw AppError.validationError('parentAccountId', parentAccountId, 'An account cannot be its own parent');
+      }
+
+      const parent = await this.accountRepository.findById(parentAccountId, client);
+      if (!parent) {
+        throw AppError.validationError('parentAccountId', parentAccountId, 'Parent account does not exist');
+      }
+      if (parent.customerId !== customerId) {
+        throw AppError.validationError('parentAccountId', parentAccountId, 'Parent account must belong to the same customer');
+      }
+      if (parent.status === deletedStatus) {
+        throw AppError.conflict(`account '${parentAccountId}'`, 'is deleted and cannot be used as parent');
+      }
+
+      // Re-parenting under one of its own descendants would close a loop
+      if (accountId !== null) {
+        const ancestorIds = await this.accountModel.findAncestorIds(parentAccountId, client);
+        if (ancestorIds.includes(accountId)) {
+          throw AppError.validationError('parentAccountId', parentAccountId, 'Re-parenting would create a cycle in the account hierarchy');
+        }
+      }
+    }
+
+    // Deleted accounts keep their number so a restore cannot produce duplicates
+    if (accountNumber !== null) {
+      const duplicate = await client.account.findFirst({
+        where: {
+          customerId,
+          accountNumber,
+          ...(accountId !== null && { accountId: { not: accountId } })
+        },
+        select: { accountId: true }
+      });
+
+      if (duplicate) {
+        throw AppError.conflict(`accountNumber '${accountNumber}'`, `is already used by account '${duplicate.accountId}' of customer '${customerId}'`);
+      }
+    }
+
+    if (primaryContactUserId !== null) {
+      const contact = await this.userRepository.findById(primaryContactUserId, client);
+      if (!contact || contact.customerId !== customerId) {
+        throw AppError.validationError('primaryContactUserId', primaryContactUserId, 'Primary contact must be a user of the same customer');
+      }
+    }
+  }
+
+  /**
+   * Validate user references: active customer, email unique within the customer
+   * and a single user per Auth0 identity
+   * @private
+   * @param {number|null} userId - User being updated, null on create
+   * @param {Object} changes - Validated user fields
+   * @param {PrismaClient} client - Prisma transaction
+   */
+  async _assertUserReferences(userId, changes, client) {
+    const { customerId, email, auth0ReferenceId } = changes;
+    const otherUsers = userId !== null ? { userId: { not: userId } } : {};
+
+    const customer = await this.customerRepository.findById(customerId, client);
+    if (!customer) {
+      throw AppError.validationError('customerId', customerId, 'Customer does not exist');
+    }
+    if (customer.status === businessConfig.softDelete.deletedStatus) {
+      throw AppError.conflict(`customer '${customerId}'`, 'is deleted');
+    }
+
+    if (email !== null) {
+      const duplicate = await client.user.findFirst({
+        where: {
+          customerId,
+          email: { equals: email, mode: 'insensitive' },
+          ...otherUsers
+        },
+        select: { userId: true }
+      });
+
+      if (duplicate) {
+        throw AppError.conflict(`email '${email}'`, `is already used by user '${duplicate.userId}' of customer '${customerId}'`);
+      }
+    }
+
+    // Only checked on create; the reference is immutable afterwards
+    if (userId === null) {
+      const linked = await client.user.findFirst({
+        where: { auth0ReferenceId },
+        select: { userId: true }
+      });
+
+      if (linked) {
+        throw AppError.conflict(`auth0ReferenceId '${auth0ReferenceId}'`, `is already linked to user '${linked.userId}'`);
+      }
+    }
+  }
+
+  /**
+   * Keep customer users from granting privileges: isCustomer and staff users are left
+   * to internal staff, and roles outranking the caller can neither be given nor changed
+   * @private
+   * @param {Object|null} principal - Authorized caller, null when authentication is off
+   * @param {Object} changes - Validated user fields
+   * @param {Object|null} existing - Stored user on replace, null on create
+   * @throws {AppError} Forbidden
+   */
+  _assertUserPrivileges(principal, changes, existing) {
+    if (!principal || !principal.isCustomer) {
+      return;
+    }
+
+    if (existing && !existing.isCustomer) {
+      throw AppError.forbidden('update', `user '${existing.userId}' (internal staff only)`);
+    }
+    if ('isCustomer' in changes && changes.isCustomer !== true) {
+      throw AppError.forbidden('set', 'isCustomer (internal staff only)');
+    }
+
+    const outranked = [changes.userRoleId, existing?.userRoleId]
+      .filter(roleId => roleId !== undefined)
+      .find(roleId => this._outranksCaller(principal, roleId));
+
+    if (outranked !== undefined) {
+      throw AppError.forbidden('assign', `role '${outranked}' (outranks the caller)`);
+    }
+  }
+
+  /**
+   * Apply the update rules of _assertUserPrivileges to soft delete and restore:
+   * customer users cannot remove or bring back staff users or users outranking them
+   * @private
+   * @param {number} userId - Targeted user
+   * @param {Object|null} principal - Authorized caller, null when authentication is off
+   * @param {string} action - delete or restore, reported in the error
+   * @throws {AppError} Forbidden
+   */
+  async _assertUserRemovable(userId, principal, action, client) {
+    if (!principal || !principal.isCustomer) {
+      return;
+    }
+
+    // A missing user is reported as not found by the soft delete itself
+    const user = await this.userRepository.findById(userId, client);
+    if (!user) {
+      return;
+    }
+
+    if (!user.isCustomer) {
+      throw AppError.forbidden(action, `user '${userId}' (internal staff only)`);
+    }
+    if (this._outranksCaller(principal, user.userRoleId)) {
+      throw AppError.forbidden(action, `user '${userId}' (role '${user.userRoleId}' outranks the caller)`);
+    }
+  }
+
+  /**
+   * Whether a role is unknown or ranks above the caller's role
+   * @private
+   */
+  _outranksCaller(principal, roleId) {
+    const roles = businessConfig.authorization.roles;
+    const callerRank = roles[principal.userRoleId]?.rank ?? 0;
+
+    return !roles[roleId] || roles[roleId].rank > callerRank;
+  }
+
+  /**
+   * Parse optional effectiveDate from an assignment body
+   * @private
+   * @returns {Date|null} Requested date, null when omitted
+   */
+  _parseEffectiveDate(assignmentData, allowedFields = ['effectiveDate']) {
+    const body = assignmentData || {};
+
+    if (typeof body !== 'object' || Array.isArray(body)) {
+      throw AppError.validationError('body', body, 'Request body must be a JSON object');
+    }
+
+    const unknownFields = Object.keys(body).filter(field => !allowedFields.includes(field));
+    if (unknownFields.length > 0) {
+      throw AppError.validationError(unknownFields.join(','), body[unknownFields[0]], 'Unknown assignment fields');
+    }
+
+    if (body.effectiveDate === undefined || body.effectiveDate === null) {
+      return null;
+    }
+    if (typeof body.effectiveDate !== 'string' || isNaN(Date.parse(body.effectiveDate))) {
+      throw AppError.validationError('effectiveDate', body.effectiveDate, 'Must be an ISO 8601 date-time');
+    }
+
+    return new Date(body.effectiveDate);
+  }
+
+  /**
+   * Load user that can receive account assignments
+   * @private
+   */
+  async _findAssignableUser(userId, client) {
+    const user = await this.userRepository.findById(userId, client);
+
+    if (!user) {
+      throw AppError.notFound('user', userId);
+    }
+    if (user.status === businessConfig.softDelete.deletedStatus) {
+      throw AppError.conflict(`user '${userId}'`, 'is deleted');
+    }
+
+    return user;
+  }
+
+  /**
+   * Create, reactivate or reschedule the junction row for user and account
+   * Without an explicit effectiveDate new rows start now and active rows keep theirs
+   * @private
+   * @returns {Promise<Object>} { accountId, action, assignment }
+   */
+  async _upsertAssignment(user, accountId, effectiveDate, client) {
+    const { activeStatus, deletedStatus } = businessConfig.softDelete;
+
+    const account = await this.accountRepository.findById(accountId, client);
+    if (!account) {
+      throw AppError.notFound('account', accountId);
+    }
+    if (account.customerId !== user.customerId) {
+      throw AppError.validationError('accountId', accountId, `Account belongs to a different customer than user '${user.userId}'`);
+    }
+    if (account.status === deletedStatus) {
+      throw AppError.conflict(`account '${accountId}'`, 'is deleted');
+    }
+
+    // Latest row wins when historical duplicates exist
+    const existing = await client.userHasAccount.findFirst({
+      where: { userId: user.userId, accountId },
+      orderBy: { userHasAccountId: 'desc' }
+    });
+
+    if (!existing) {
+      const assignment = await this.userHasAccountRepository.create(
+        { userId: user.userId, accountId, effectiveDate: effectiveDate || new Date(), status: activeStatus },
+        client
+      );
+      return { accountId, action: 'created', assignment };
+    }
+
+    const isActive = existing.status === activeStatus;
+    if (isActive && (!effectiveDate || existing.effectiveDate?.getTime() === effectiveDate.getTime())) {
+      return { accountId, action: 'unchanged', assignment: existing };
+    }
+
+    const assignment = await this.userHasAccountRepository.updateById(
+      existing.userHasAccountId,
+      { effectiveDate: effectiveDate || new Date(), status: activeStatus },
+      client
+    );
+
+    return {
+      accountId,
+      action: isActive ? 'rescheduled' : 'reactivated',
+      assignment
+    };
+  }
+
+  /**
+   * Recompute Account.numberOfUsers from active assignments
+   * Future-dated assignments are counted so the figure does not go stale
+   * when their effectiveDate passes; deleted accounts are left untouched
+   * because their updatedAt drives the soft-delete restore cascade
+   * @private
+   */
+  async _syncAccountUserCounts(accountIds, client) {
+    const logger = createRequestLogger(getRequestId(), 'customer-service');
+    const { activeStatus, deletedStatus } = businessConfig.softDelete;
+
+    for (const accountId of new Set(accountIds)) {
+      const numberOfUsers = await client.userHasAccount.count({
+        where: { accountId, status: activeStatus }
+      });
+
+      await client.account.updateMany({
+        where: { accountId, status: { not: deletedStatus } },
+        data: { numberOfUsers }
+      });
+
+      logger.debugSafe('Account user count synced', {
+        accountId,
+        numberOfUsers
+      });
+    }
+  }
+
+  /**
+   * Normalize JSON import document into customer entries
+   * @private
+   */
+  _normalizeJsonImport(payload) {
+    if (!payload || typeof payload !== 'object' || !Array.isArray(payload.customers)) {
+      throw AppError.validationError('customers', payload?.customers, 'Body must be { "customers": [...] }');
+    }
+
+    const asList = (value, location) => {
+      if (value === undefined) {
+        return [];
+      }
+      if (!Array.isArray(value)) {
+        throw AppError.validationError(location, value, 'Must be an array');
+      }
+      return value;
+    };
+
+    return payload.customers.map((customer, customerIndex) => {
+      const location = `customers[${customerIndex}]`;
+      if (!customer || typeof customer !== 'object' || Array.isArray(customer)) {
+        throw AppError.validationError(location, customer, 'Must be an object');
+      }
+
+      const { ref, accounts, users, ...data } = customer;
+
+      return {
+        customer: { location, entity: 'customer', ref, data },
+        accounts: asList(accounts, `${location}.accounts`).map((account, index) => {
+          const { ref: accountRef, parentRef, primaryContactRef, ...accountData } = account || {};
+          return {
+            location: `${location}.accounts[${index}]`,
+            entity: 'account',
+            ref: accountRef,
+            parentRef,
+            primaryContactRef,
+            data: accountData
+          };
+        }),
+        users: asList(users, `${location}.users`).map((user, index) => {
+          const { ref: userRef, accountRefs, ...userData } = user || {};
+          return {
+            location: `${location}.users[${index}]`,
+            entity: 'user',
+            ref: userRef,
+            accountRefs,
+            data: userData
+          };
+        })
+      };
+    });
+  }
+
+  /**
+   * Normalize CSV import rows into customer entries
+   * Rows carry recordType (customer/account/user) and customerRef; accountRefs
+   * lists account refs separated by semicolons
+   * @private
+   */
+  _normalizeCsvImport(records) {
+    const entries = new Map();
+    const pending = [];
+
+    records.forEach(({ line, values }) => {
+      const location = `line ${line}`;
+      const { recordType, customerRef } = values;
+
+      if (!['customer', 'account', 'user'].includes(recordType)) {
+        throw AppError.validationError('recordType', `${location}: ${recordType}`, 'Must be customer, account or user');
+      }
+      if (!customerRef) {
+        throw AppError.validationError('customerRef', location, 'customerRef is required on every row');
+      }
+
+      const data = {};
+      Object.entries(values)
+        .filter(([column]) => !IMPORT_CSV_REFERENCE_COLUMNS.includes(column))
+        .forEach(([column, value]) => {
+          data[column] = this._coerceCsvValue(IMPORT_FIELD_RULES[recordType][column], value);
+        });
+
+      const record = { location, entity: recordType, ref: values.ref, data };
+
+      if (recordType === 'customer') {
+        if (entries.has(customerRef)) {
+          throw AppError.validationError('customerRef', `${location}: ${customerRef}`, 'Duplicate customer row');
+        }
+        entries.set(customerRef, { customer: { ...record, ref: customerRef }, accounts: [], users: [] });
+        return;
+      }
+
+      if (recordType === 'account') {
+        record.parentRef = values.parentRef;
+        record.primaryContactRef = values.primaryContactRef;
+      } else {
+        record.accountRefs = values.accountRefs
+          ? values.accountRefs.split(';').map(ref => ref.trim()).filter(Boolean)
+          : [];
+      }
+      pending.push({ customerRef, record });
+    });
+
+    pending.forEach(({ customerRef, record }) => {
+      const entry = entries.get(customerRef);
+      if (!entry) {
+        throw AppError.validationError('customerRef', `${record.location}: ${customerRef}`, 'No customer row with this customerRef');
+      }
+      entry[`${record.entity}s`].push(record);
+    });
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Convert CSV cell text to the type expected by the field rule
+   * Unconvertible values are passed through so validation reports them
+   * @private
+   */
+  _coerceCsvValue(rule, value) {
+    if (rule?.type === 'id' && /^\d+$/.test(value)) {
+      return parseInt(value);
+    }
+    if (rule?.type === 'boolean' && ['true', 'false'].includes(value.toLowerCase())) {
+      return value.toLowerCase() === 'true';
+    }
+    return value;
+  }
+
+  /**
+   * Validate import entries and resolve refs into ordered write plans
+   * @private
+   * @returns {Promise<Object>} { plans, errors } - errors as { location, entity, ref, field, message }
+   */
+  async _planImport(batch, client) {
+    const errors = [];
+    const fail = (record, field, message) => {
+      errors.push({ location: record.location, entity: record.entity, ref: record.ref ?? null, field, message });
+    };
+    const validate = (record, data) => {
+      try {
+        return this._fillOmittedFields(
+          this._validateEntityChanges(record.entity, data, IMPORT_FIELD_RULES[record.entity], [], { partial: false }),
+          IMPORT_FIELD_RULES[record.entity]
+        );
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          throw error;
+        }
+        fail(record, error.metadata.field ?? null, error.metadata.constraint ?? error.message);
+        return null;
+      }
+    };
+
+    const auth0Records = new Map();
+    const plans = batch.map(entry => {
+      const customer = validate(entry.customer, {
+        status: businessConfig.import.defaultCustomerStatus,
+        ...entry.customer.data
+      });
+
+      const accountsByRef = new Map();
+      const accountNumbers = new Set();
+      const accounts = entry.accounts.map(record => {
+        const data = validate(record, record.data);
+
+        if (record.ref === undefined || record.ref === null || record.ref === '') {
+          fail(record, 'ref', 'Accounts need a ref so users and child accounts can point to them');
+        } else if (accountsByRef.has(String(record.ref))) {
+          fail(record, 'ref', 'Duplicate account ref within customer');
+        } else {
+          accountsByRef.set(String(record.ref), record);
+        }
+
+        if (data?.accountNumber) {
+          if (accountNumbers.has(data.accountNumber)) {
+            fail(record, 'accountNumber', 'Duplicate accountNumber within customer');
+          }
+          accountNumbers.add(data.accountNumber);
+        }
+
+        return { record, data, ref: String(record.ref), parentRef: record.parentRef ?? null, primaryContactRef: record.primaryContactRef ?? null };
+      });
+
+      const usersByRef = new Map();
+      const emails = new Set();
+      const users = entry.users.map(record => {
+        const data = validate(record, record.data);
+        const accountRefs = Array.isArray(record.accountRefs) ? record.accountRefs.map(String) : [];
+
+        if (record.accountRefs !== undefined && !Array.isArray(record.accountRefs)) {
+          fail(record, 'accountRefs', 'Must be an array of account refs');
+        }
+        accountRefs
+          .filter(ref => !accountsByRef.has(ref))
+          .forEach(ref => fail(record, 'accountRefs', `Unknown account ref '${ref}'`));
+
+        if (record.ref !== undefined && record.ref !== null) {
+          if (usersByRef.has(String(record.ref))) {
+            fail(record, 'ref', 'Duplicate user ref within customer');
+          }
+          usersByRef.set(String(record.ref), record);
+        }
+
+        if (data?.email) {
+          if (emails.has(data.email.toLowerCase())) {
+            fail(record, 'email', 'Duplicate email within customer');
+          }
+          emails.add(data.email.toLowerCase());
+        }
+
+        if (data?.auth0ReferenceId) {
+          if (auth0Records.has(data.auth0ReferenceId)) {
+            fail(record, 'auth0ReferenceId', `Already used by ${auth0Records.get(data.auth0ReferenceId).location}`);
+          } else {
+            auth0Records.set(data.auth0ReferenceId, record);
+          }
+        }
+
+        return { record, data, ref: record.ref !== undefined && record.ref !== null ? String(record.ref) : null, accountRefs };
+      });
+
+      accounts.forEach(account => {
+        if (account.parentRef !== null && !accountsByRef.has(String(account.parentRef))) {
+          fail(account.record, 'parentRef', `Unknown parent account ref '${account.parentRef}'`);
+        }
+        if (account.primaryContactRef !== null && !usersByRef.has(String(account.primaryContactRef))) {
+          fail(account.record, 'primaryContactRef', `Unknown user ref '${account.primaryContactRef}'`);
+        }
+      });
+
+      // Walk each parent chain; revisiting a ref means the hierarchy loops
+      accounts.forEach(account => {
+        const seen = new Set([account.ref]);
+        let parentRef = account.parentRef !== null ? String(account.parentRef) : null;
+
+        while (parentRef !== null && accountsByRef.has(parentRef)) {
+          if (seen.has(parentRef)) {
+            fail(account.record, 'parentRef', 'Account hierarchy contains a cycle');
+            break;
+          }
+          seen.add(parentRef);
+          const parent = accountsByRef.get(parentRef);
+          parentRef = parent.parentRef !== undefined && parent.parentRef !== null ? String(parent.parentRef) : null;
+        }
+      });
+
+      return { customer, record: entry.customer, accounts, users };
+    });
+
+    if (auth0Records.size > 0) {
+      const linked = await client.user.findMany({
+        where: { auth0ReferenceId: { in: [...auth0Records.keys()] } },
+        select: { userId: true, auth0ReferenceId: true }
+      });
+
+      linked.forEach(user => {
+        fail(auth0Records.get(user.auth0ReferenceId), 'auth0ReferenceId', `Already linked to user '${user.userId}'`);
+      });
+    }
+
+    debugSafe('Customer import planned', {
+      customerCount: plans.length,
+      errorCount: errors.length
+    }, 'customer-service');
+
+    return { plans, errors };
+  }
+
+  /**
+   * Write one planned customer with its accounts (parents first), users and assignments
+   * @private
+   * @returns {Promise<Object>} Created IDs keyed by ref
+   */
+  async _commitImportPlan(plan, client) {
+    const customer = await this.customerRepository.create(plan.customer, client);
+
+    const accountIds = new Map();
+    let remaining = plan.accounts;
+    while (remaining.length > 0) {
+      const ready = remaining.filter(account => account.parentRef === null || accountIds.has(String(account.parentRef)));
+
+      // One createMany per hierarchy level; parents of the next level get their IDs here
+      const { data: createdAccounts } = await this.accountRepository.createMany(ready.map(account => ({
+        ...account.data,
+        customerId: customer.customerId,
+        parentAccountId: account.parentRef === null ? null : accountIds.get(String(account.parentRef)),
+        numberOfUsers: 0
+      })), client);
+      ready.forEach((account, index) => accountIds.set(account.ref, createdAccounts[index].accountId));
+
+      remaining = remaining.filter(account => !ready.includes(account));
+    }
+
+    const userIds = new Map();
+    const { data: createdUsers } = await this.userRepository.createMany(
+      plan.users.map(user => ({ ...user.data, customerId: customer.customerId })),
+      client
+    );
+    plan.users.forEach((user, index) => {
+      if (user.ref !== null) {
+        userIds.set(user.ref, createdUsers[index].userId);
+      }
+    });
+
+    const effectiveDate = new Date();
+    await this.userHasAccountRepository.createMany(plan.users.flatMap((user, index) =>
+      [...new Set(user.accountRefs)].map(accountRef => ({
+        userId: createdUsers[index].userId,
+        accountId: accountIds.get(accountRef),
+        effectiveDate,
+        status: businessConfig.softDelete.activeStatus
+      }))
+    ), client);
+
+    for (const account of plan.accounts.filter(item => item.primaryContactRef !== null)) {
+      await this.accountRepository.updateById(
+        accountIds.get(account.ref),
+        { primaryContactUserId: userIds.get(String(account.primaryContactRef)) },
+        client
+      );
+    }
+
+    await this._syncAccountUserCounts([...accountIds.values()], client);
+
+    return {
+      ref: plan.record.ref ?? null,
+      customerId: customer.customerId,
+      accountIds: Object.fromEntries(accountIds),
+      userIds: Object.fromEntries(userIds)
+    };
+  }
+
+  /**
+   * Validate entity write body against field rules
+   * @private
+   * @param {string} entityName - Entity name used in messages
+   * @param {Object} body - Request body
+   * @param {Object} fieldRules - Editable field rules
+   * @param {Array<string>} serverManagedFields - Read-only fields ignored in the body
+   * @param {Object} options - { partial: true } for merge patch documents
+   * @returns {Object} Changes limited to editable fields
+   */
+  _validateEntityChanges(entityName, body, fieldRules, serverManagedFields, { partial }) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw AppError.validationError('body', body, 'Request body must be a JSON object');
+    }
+
+    const unknownFields = Object.keys(body).filter(field =>
+      !(field in fieldRules) && !serverManagedFields.includes(field)
+    );
+    if (unknownFields.length > 0) {
+      throw AppError.validationError(unknownFields.join(','), body[unknownFields[0]], `Unknown or read-only ${entityName} fields`);
+    }
+
+    const changes = {};
+
+    Object.entries(fieldRules).forEach(([field, rule]) => {
+      if (!(field in body)) {
+        if (!partial && rule.required) {
+          throw AppError.validationError(field, undefined, 'Field is required');
+        }
+        return;
+      }
+
+      const value = body[field];
+
+      if (value === null) {
+        if (rule.required || rule.default !== undefined) {
+          throw AppError.validationError(field, value, 'Field cannot be null');
+        }
+        changes[field] = null;
+        return;
+      }
+
+      if (rule.type === 'id') {
+        if (!Number.isInteger(value) || value <= 0) {
+          throw AppError.validationError(field, value, 'Must be a positive integer');
+        }
+      } else if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+          throw AppError.validationError(field, value, 'Must be a boolean');
+        }
+      } else if (rule.type === 'date') {
+        if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+          throw AppError.validationError(field, value, 'Must be an ISO 8601 date-time');
+        }
+        changes[field] = new Date(value);
+        return;
+      } else {
+        if (typeof value !== 'string' || value.trim() === '') {
+          throw AppError.validationError(field, value, 'Must be a non-empty string');
+        }
+        if (rule.maxLength && value.length > rule.maxLength) {
+          throw AppError.validationError(field, value, `Must be at most ${rule.maxLength} characters`);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+          throw AppError.validationError(field, value, rule.patternMessage || 'Invalid format');
+        }
+        if (field === 'status' && value === businessConfig.softDelete.deletedStatus) {
+          throw AppError.validationError(field, value, `Use DELETE /${entityName}s/:id for soft deletes`);
+        }
+      }
+
+      changes[field] = value;
+    });
+
+    if (partial && Object.keys(changes).length === 0) {
+      throw AppError.validationError('body', body, 'Merge patch contains no editable fields');
+    }
+
+    return changes;
+  }
+
+  /**
+   * Complete a full representation (create/PUT): omitted fields get their default or null
+   * @private
+   */
+  _fillOmittedFields(changes, fieldRules) {
+    Object.entries(fieldRules)
+      .filter(([field]) => !(field in changes))
+      .forEach(([field, rule]) => { changes[field] = rule.default !== undefined ? rule.default : null; });
+
+    return changes;
+  }
+
+  /**
+   * Reject unknown customer include parts
+   * @private
+   */
+  _assertCustomerInclude(include) {
+    const invalidParts = include.filter(part => !CUSTOMER_INCLUDE_OPTIONS.includes(part));
+    if (invalidParts.length > 0) {
+      throw AppError.validationError('include', include.join(','), `Valid include values: ${CUSTOMER_INCLUDE_OPTIONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Latest version and row count of a related row set; the count catches hard deletes,
+   * which leave the latest version unchanged. versionWhere widens the version to rows
+   * that left the set (e.g. without the status filter), whose update also changed it
+   * @private
+   * @param {Object} delegate - Prisma model delegate
+   * @param {Object} where - Rows currently in the set
+   * @param {Object} versionWhere - Rows whose latest update dates the set (default: where)
+   * @returns {Promise<Object>} { version, count }
+   */
+  async _rowSetState(delegate, where, versionWhere = where) {
+    if (versionWhere === where) {
+      const { _max, _count } = await delegate.aggregate({
+        where,
+        _max: { updatedAt: true, createdAt: true },
+        _count: { _all: true }
+      });
+
+      return { version: latestVersion([_max.updatedAt, _max.createdAt]), count: _count._all };
+    }
+
+    const [{ _count }, { _max }] = await Promise.all([
+      delegate.aggregate({ where, _count: { _all: true } }),
+      delegate.aggregate({ where: versionWhere, _max: { updatedAt: true, createdAt: true } })
+    ]);
+
+    return { version: latestVersion([_max.updatedAt, _max.createdAt]), count: _count._all };
+  }
+
+  /**
+   * ETag (entity version plus hash of related row states and representation options)
+   * and Last-Modified (latest version of all rows involved), each null when disabled
+   * @private
+   * @param {string} entityName - Entity name
+   * @param {number} id - Primary key value
+   * @param {Object} entity - Entity row with updatedAt/createdAt
+   * @param {Object} rowSets - Related row states by name, from _rowSetState()
+   * @param {Object} options - Representation options (include, account scope)
+   * @returns {Object} { etag, lastModified }
+   */
+  _buildValidators(entityName, id, entity, rowSets, options = {}) {
+    const versions = Object.values(rowSets).map(rowSet => rowSet.version);
+
+    return {
+      etag: techConfig.performance.enableEtag
+        ? createEntityTag(entityName, id, getVersion(entity), { options, rowSets })
+        : null,
+      lastModified: techConfig.performance.enableLastModified
+        ? latestVersion([getVersion(entity), ...versions])
+        : null
+    };
+  }
+
+  _capitalizeVariant(variant) {
+    return variant.charAt(0).toUpperCase() + variant.slice(1);
+  }
+
+  /**
+   * Cache key part for an account scope (hashed, scopes can hold hundreds of accounts)
+   * @private
+   */
+  _accountScopeKey(accountScope) {
+    if (!accountScope) {
+      return 'scope:all';
+    }
+
+    const ids = [...accountScope].sort((a, b) => a - b).join(',');
+    return `scope:${crypto.createHash('sha1').update(ids).digest('hex')}`;
+  }
+
+  /**
+   * Nest accounts under their parents (AccountHierarchy relation) as childAccounts
+   * Accounts whose parent is not in the list are treated as roots
+   */
+  _buildAccountTree(accounts) {
+    const nodes = new Map(accounts.map(account => [account.accountId, { ...account, childAccounts: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+      const parent = node.parentAccountId !== null ? nodes.get(node.parentAccountId) : null;
+      if (parent) {
+        parent.childAccounts.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return roots;
+  }
+
+  /**
+   * Flatten a GenericRepository.findAll result into a list page
+   * @private
+   * @returns {Object} { data, totalCount (page mode only), nextCursor, prevCursor, hasNext, hasPrev }
+   */
+  _toListPage({ data, pagination }) {
+    const { totalCount, nextCursor, prevCursor, hasNext, hasPrev } = pagination;
+    return { data, totalCount, nextCursor, prevCursor, hasNext, hasPrev };
+  }
+
+  /**
+   * Load user whose assigned accounts are listed or exported
+   * @private
+   */
+  async _findUserForAccountListing(userId, client) {
+    const user = await client.user.findUnique({
+      where: { userId },
+      select: { userId: true, customerId: true }
+    });
+
+    if (!user) {
+      throw AppError.notFound('user', userId);
+    }
+
+    return user;
+  }
+
+  /**
+   * Where clause for accounts the user is actively assigned to, narrowed by the list filters
+   * @private
+   */
+  _buildUserAccountsWhere(user, filterWhere = {}, accountScope = null) {
+    return {
+      AND: [
+        {
+          customerId: user.customerId,
+          ...accountScopeWhere(accountScope),
+          userHasAccounts: {
+            some: {
+              userId: user.userId,
+              ...effectiveAssignmentWhere()  // Only active, already effective relationships
+            }
+          }
+        },
+        filterWhere
+      ]
+    };
+  }
+
+  /**
+   * Where clause for users actively assigned to the account, narrowed by the list filters
+   * @private
+   */
+  _buildSecondaryContactsWhere(accountId, filterWhere = {}) {
+    return {
+      AND: [
+        {
+          userHasAccounts: {
+            some: {
+              accountId: accountId,
+              ...effectiveAssignmentWhere()
+            }
+          }
+        },
+        filterWhere
+      ]
+    };
+  }
+
+  /**
+   * Validate requested download format (defaults to csv)
+   * @private
+   */
+  _resolveExportFormat(format) {
+    const resolved = format ? String(format).toLowerCase() : 'csv';
+
+    if (!EXPORT_FORMATS.includes(resolved)) {
+      throw AppError.validationError('format', format, `Valid formats: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Build one worksheet per hierarchy level (roots are level 1) for the matching accounts
+   * Levels come from the customer's full hierarchy, so a sub-account assigned
+   * without its parent still lands on its real level
+   * @private
+   * @returns {Promise<Array<Object>>} Sheets { name, fetchChunk }
+   */
+  async _buildAccountLevelSheets(client, customerId, whereClause) {
+    const chunkSize = techConfig.performance.exportChunkSize;
+    const parentIds = new Map();
+    const idsByLevel = new Map();
+
+    // Parent links of the whole customer, read in keyset chunks (two integers per account)
+    let cursor = null;
+    do {
+      const chunk = await this._fetchExportChunk(
+        client.account, { customerId }, 'accountId', { accountId: true, parentAccountId: true }, cursor
+      );
+      chunk.rows.forEach(account => parentIds.set(account.accountId, account.parentAccountId));
+      cursor = chunk.nextCursor;
+    } while (cursor !== null);
+
+    cursor = null;
+    do {
+      const chunk = await this._fetchExportChunk(client.account, whereClause, 'accountId', { accountId: true }, cursor);
+      chunk.rows.forEach(({ accountId }) => {
+        const level = this._accountLevel(accountId, parentIds);
+        if (!idsByLevel.has(level)) {
+          idsByLevel.set(level, []);
+        }
+        idsByLevel.get(level).push(accountId);
+      });
+      cursor = chunk.nextCursor;
+    } while (cursor !== null);
+
+    const levels = [...idsByLevel.keys()].sort((a, b) => a - b);
+    if (levels.length === 0) {
+      return [{ name: 'Level 1', fetchChunk: async () => ({ rows: [], nextCursor: null }) }];
+    }
+
+    // Cursor is the offset into the level's sorted ID list
+    return levels.map(level => ({
+      name: `Level ${level}`,
+      fetchChunk: async (offset) => {
+        const start = offset || 0;
+        const ids = idsByLevel.get(level).slice(start, start + chunkSize);
+        const rows = await client.account.findMany({
+          where: { accountId: { in: ids } },
+          orderBy: { accountId: 'asc' },
+          select: USER_ACCOUNT_LIST_SELECT
+        });
+
+        return {
+          rows,
+          nextCursor: start + chunkSize < idsByLevel.get(level).length ? start + chunkSize : null
+        };
+      }
+    }));
+  }
+
+  /**
+   * Depth of account in its hierarchy; cycles in corrupt data stop the walk
+   * @private
+   */
+  _accountLevel(accountId, parentIds) {
+    const seen = new Set([accountId]);
+    let level = 1;
+    let parentId = parentIds.get(accountId);
+
+    while (parentId !== null && parentId !== undefined && !seen.has(parentId)) {
+      seen.add(parentId);
+      level++;
+      parentId = parentIds.get(parentId);
+    }
+
+    return level;
+  }
+
+  /**
+   * Fetch the next export chunk ordered by primary key (keyset, no OFFSET)
+   * @private
+   * @param {Object} delegate - Prisma model delegate (e.g. client.account)
+   * @param {Object} where - Export filter
+   * @param {string} keyField - Primary key used as cursor
+   * @param {Object} select - Prisma select (must include keyField)
+   * @param {number|null} cursor - Last key of the previous chunk
+   * @returns {Promise<Object>} { rows, nextCursor }
+   */
+  async _fetchExportChunk(delegate, where, keyField, select, cursor) {
+    const chunkSize = techConfig.performance.exportChunkSize;
+
+    const rows = await delegate.findMany({
+      where: cursor === null ? where : { AND: [where, { [keyField]: { gt: cursor } }] },
+      orderBy: { [keyField]: 'asc' },
+      take: chunkSize,
+      select
+    });
+
+    return {
+      rows,
+      nextCursor: rows.length === chunkSize ? rows[rows.length - 1][keyField] : null
+    };
   }
 }
 
@@ -1,14 +1,38 @@
 /**
  * Account Domain Model
  * File: /customer-service/models/account.model.js
- * Version: 1.0.0
- * 
+ * Version: 1.1.0
+ *
  * Purpose: Account domain data access layer
- *          All CRUD operations provided by repository factory pattern
- *          No custom methods currently - pure factory delegation
+ *          CRUD operations provided by repository factory pattern
+ *          Custom queries cover the AccountHierarchy self-relation
  */
 
-const { getLogger } = require('../../common/services/logger.service');
+const AppError = require('../../../2-common-base/common/services/app-error');
+const { getLogger, logDatabaseOperation, debugSafe } = require('../../../2-common-base/common/services/logger.service');
+const { getRequestId } = require('../../../2-common-base/common/services/request-context.service');
+
+// Guards the recursive walk against corrupted hierarchies that already contain a cycle
+const MAX_HIERARCHY_DEPTH = 50;
+
+const SQL_QUERIES = {
+  // Account itself followed by its parent chain up to the root
+  FIND_ACCOUNT_ANCESTOR_IDS: `
+    WITH RECURSIVE ancestors AS (
+      SELECT a.account_id, a.parent_account_id, 1 AS depth
+      FROM account a
+      WHERE a.account_id = $1
+      UNION ALL
+      SELECT p.account_id, p.parent_account_id, an.depth + 1
+      FROM account p
+      INNER JOIN ancestors an ON p.account_id = an.parent_account_id
+      WHERE an.depth < $2
+    )
+    SELECT account_id
+    FROM ancestors
+    ORDER BY depth
+  `
+};
 
 class AccountModel {
   constructor() {
@@ -23,6 +47,46 @@ class AccountModel {
   getEntityName() {
     return this.entityName;
   }
+
+  /**
+   * Find account ID and all ancestor IDs, nearest first
+   * @param {number} accountId - Account ID
+   * @param {PrismaClient} client - Prisma client or transaction
+   * @returns {Promise<Array<number>>} Account ID followed by ancestor IDs
+   */
+  async findAncestorIds(accountId, client) {
+    if (!accountId || !client) {
+      throw AppError.validationError('accountId', accountId, 'Account ID and client are required');
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const rows = await client.$queryRawUnsafe(
+        SQL_QUERIES.FIND_ACCOUNT_ANCESTOR_IDS,
+        accountId,
+        MAX_HIERARCHY_DEPTH
+      );
+
+      logDatabaseOperation('SELECT-RECURSIVE', 'account', Date.now() - startTime, getRequestId(), 'account-model');
+
+      const ancestorIds = rows.map(row => Number(row.account_id));
+
+      debugSafe('Found account ancestors', {
+      accountId,
+      depth: ancestorIds.length
+      }, 'account-model');
+
+      return ancestorIds;
+
+    } catch (error) {
+      this.logger.error('Failed to find account ancestors', {
+        accountId,
+        errorMessage: error.message
+      });
+      throw AppError.databaseError('find account ancestors', error);
+    }
+  }
 }
 
 module.exports = AccountModel;
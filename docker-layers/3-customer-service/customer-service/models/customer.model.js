@@ -10,6 +10,8 @@
 // ✅ FIXED: Correct paths to common-base layer
 const AppError = require('../../../2-common-base/common/services/app-error');
 const { getLogger, logDatabaseOperation, debugSafe } = require('../../../2-common-base/common/services/logger.service');
+const { getRequestId } = require('../../../2-common-base/common/services/request-context.service');
+const { paginate } = require('../../../2-common-base/common/services/pagination.service');
 
 // Performance-optimized SQL with field variants for minimal data transfer
 const SQL_QUERIES = {
@@ -25,6 +27,7 @@ const SQL_QUERIES = {
     WHERE a.account_id = $1
       AND u.status = $2
       AND uha.status = $3
+      AND (uha.effective_date IS NULL OR uha.effective_date <= NOW() AT TIME ZONE 'UTC')
       AND a.status = $4
     ORDER BY u.last_name, u.first_name
   `,
@@ -44,6 +47,7 @@ const SQL_QUERIES = {
     WHERE a.account_id = $1
       AND u.status = $2
       AND uha.status = $3
+      AND (uha.effective_date IS NULL OR uha.effective_date <= NOW() AT TIME ZONE 'UTC')
       AND a.status = $4
     ORDER BY u.last_name, u.first_name
   `,
@@ -69,11 +73,15 @@ const SQL_QUERIES = {
     WHERE a.account_id = $1
       AND u.status = $2
       AND uha.status = $3
+      AND (uha.effective_date IS NULL OR uha.effective_date <= NOW() AT TIME ZONE 'UTC')
       AND c.status = $4
       AND a.status = $5
     ORDER BY u.last_name, u.first_name
   `,
 
+  // Customer users below are optionally narrowed by $4 (account scope): only users
+  // assigned to one of those accounts, NULL for no restriction
+
   // Header variant - customer users (3 fields)
   FIND_USERS_BY_CUSTOMER_HEADER: `
     SELECT 
@@ -85,6 +93,14 @@ const SQL_QUERIES = {
     WHERE c.customer_id = $1
       AND u.status = $2
       AND c.status = $3
+      AND ($4::int[] IS NULL OR EXISTS (
+        SELECT 1
+        FROM user_has_account s
+        WHERE s.user_id = u.user_id
+          AND s.status = $2
+          AND (s.effective_date IS NULL OR s.effective_date <= NOW() AT TIME ZONE 'UTC')
+          AND s.account_id = ANY($4::int[])
+      ))
     ORDER BY u.last_name, u.first_name
   `,
 
@@ -102,6 +118,14 @@ const SQL_QUERIES = {
     WHERE c.customer_id = $1
       AND u.status = $2
       AND c.status = $3
+      AND ($4::int[] IS NULL OR EXISTS (
+        SELECT 1
+        FROM user_has_account s
+        WHERE s.user_id = u.user_id
+          AND s.status = $2
+          AND (s.effective_date IS NULL OR s.effective_date <= NOW() AT TIME ZONE 'UTC')
+          AND s.account_id = ANY($4::int[])
+      ))
     ORDER BY u.last_name, u.first_name
   `,
 
@@ -133,18 +157,86 @@ const SQL_QUERIES = {
   INNER JOIN customer c ON u.customer_id = c.customer_id
   LEFT JOIN user_has_account uha ON u.user_id = uha.user_id 
     AND uha.status = $2
+    AND (uha.effective_date IS NULL OR uha.effective_date <= NOW() AT TIME ZONE 'UTC')
   LEFT JOIN account a ON uha.account_id = a.account_id 
     AND a.status = $2
+    AND ($4::int[] IS NULL OR a.account_id = ANY($4::int[]))
   WHERE c.customer_id = $1
     AND u.status = $2
-    AND c.status = $2
+    AND c.status = $3
+    AND ($4::int[] IS NULL OR EXISTS (
+      SELECT 1
+      FROM user_has_account s
+      WHERE s.user_id = u.user_id
+        AND s.status = $2
+        AND (s.effective_date IS NULL OR s.effective_date <= NOW() AT TIME ZONE 'UTC')
+        AND s.account_id = ANY($4::int[])
+    ))
   GROUP BY u.user_id, u.first_name, u.last_name, u.email, 
            u.phone_number, u.designation, u.status, u.is_customer, 
            c.customer_name, c.customer_id
   ORDER BY u.last_name, u.first_name
+  `,
+
+  // Accounts a user may see: active, effective assignments plus all their descendants
+  FIND_ACCESSIBLE_ACCOUNT_IDS: `
+    WITH RECURSIVE accessible AS (
+      SELECT uha.account_id, 1 AS depth
+      FROM user_has_account uha
+      WHERE uha.user_id = $1
+        AND uha.status = $2
+        AND (uha.effective_date IS NULL OR uha.effective_date <= NOW() AT TIME ZONE 'UTC')
+      UNION ALL
+      SELECT child.account_id, ac.depth + 1
+      FROM account child
+      INNER JOIN accessible ac ON child.parent_account_id = ac.account_id
+      WHERE ac.depth < $3
+    )
+    SELECT DISTINCT account_id
+    FROM accessible
+    ORDER BY account_id
   `
 };
 
+// Guards the descendant walk against corrupted hierarchies that already contain a cycle
+const MAX_HIERARCHY_DEPTH = 50;
+
+// Field variants for customer listings (mirrors the user variants above)
+const CUSTOMER_FIELD_VARIANTS = {
+  // Header variant - minimal fields for dropdowns/lists (2 fields)
+  header: {
+    customerId: true,
+    customerName: true
+  },
+
+  // Summary variant - common fields for cards/summaries (6 fields)
+  summary: {
+    customerId: true,
+    customerName: true,
+    customerClass: true,
+    status: true,
+    referenceNumber: true,
+    soldBySalespersonId: true
+  },
+
+  // Detail variant - all customer columns (10 fields)
+  detail: {
+    customerId: true,
+    customerName: true,
+    customerClass: true,
+    status: true,
+    referenceNumber: true,
+    soldBySalespersonId: true,
+    createdAt: true,
+    createdBy: true,
+    updatedAt: true,
+    updatedBy: true
+  }
+};
+
+// Non-nullable columns only, so keyset comparisons stay well-defined
+const CUSTOMER_SORTABLE_FIELDS = ['customerId', 'customerName', 'customerClass', 'status', 'referenceNumber', 'createdAt'];
+
 class CustomerModel {
   constructor() {
     this.logger = getLogger('customer-model');
@@ -208,15 +300,17 @@ class CustomerModel {
    * Find users by customer - Header variant (3 fields)
    * Minimal fields for customer user lists
    * @param {number} customerId - Customer ID
+   * @param {Array<number>|null} accountScope - Only users assigned to these accounts (null: all)
    * @param {PrismaClient} client - Prisma client or transaction
    * @param {string} requestId - Request correlation ID
    * @returns {Promise<Array>} Users with minimal fields
    */
-  async findUsersByCustomerHeader(customerId, client, requestId = null) {
+  async findUsersByCustomerHeader(customerId, accountScope, client, requestId = null) {
     return this._executeCustomerQuery(
       SQL_QUERIES.FIND_USERS_BY_CUSTOMER_HEADER,
       customerId,
       'header',
+      accountScope,
       client,
       requestId
     );
@@ -226,15 +320,17 @@ class CustomerModel {
    * Find users by customer - Summary variant (6 fields)
    * Summary fields for customer user management
    * @param {number} customerId - Customer ID
+   * @param {Array<number>|null} accountScope - Only users assigned to these accounts (null: all)
    * @param {PrismaClient} client - Prisma client or transaction
    * @param {string} requestId - Request correlation ID
    * @returns {Promise<Array>} Users with summary fields
    */
-  async findUsersByCustomerSummary(customerId, client, requestId = null) {
+  async findUsersByCustomerSummary(customerId, accountScope, client, requestId = null) {
     return this._executeCustomerQuery(
       SQL_QUERIES.FIND_USERS_BY_CUSTOMER_SUMMARY,
       customerId,
       'summary',
+      accountScope,
       client,
       requestId
     );
@@ -244,20 +340,165 @@ class CustomerModel {
    * Find users by customer - Detail variant (8+ fields with JSON accounts)
    * Complete data with account aggregation for detailed customer views
    * @param {number} customerId - Customer ID
+   * @param {Array<number>|null} accountScope - Only users assigned to these accounts, accounts
+   *                                           aggregated within them (null: all)
    * @param {PrismaClient} client - Prisma client or transaction
    * @param {string} requestId - Request correlation ID
    * @returns {Promise<Array>} Users with full details and account assignments
    */
-  async findUsersByCustomerDetail(customerId, client, requestId = null) {
+  async findUsersByCustomerDetail(customerId, accountScope, client, requestId = null) {
     return this._executeCustomerQuery(
       SQL_QUERIES.FIND_USERS_BY_CUSTOMER_DETAIL,
       customerId,
       'detail',
+      accountScope,
       client,
       requestId
     );
   }
 
+  /**
+   * Find accounts visible to a user: accounts assigned through active, effective
+   * user_has_account rows plus every descendant of those accounts
+   * @param {number} userId - User ID
+   * @param {PrismaClient} client - Prisma client or transaction
+   * @returns {Promise<Array<number>>} Accessible account IDs, ascending
+   */
+  async findAccessibleAccountIds(userId, client) {
+    if (!userId || !client) {
+      throw AppError.validationError('userId', userId, 'User ID and client are required');
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const rows = await client.$queryRawUnsafe(
+        SQL_QUERIES.FIND_ACCESSIBLE_ACCOUNT_IDS,
+        userId,
+        'ACT',
+        MAX_HIERARCHY_DEPTH
+      );
+
+      logDatabaseOperation('SELECT-RECURSIVE', 'account+user_has_account', Date.now() - startTime, getRequestId(), 'customer-model');
+
+      const accountIds = rows.map(row => Number(row.account_id));
+
+      debugSafe('Found accessible accounts', {
+      userId,
+      accountCount: accountIds.length
+      }, 'customer-model');
+
+      return accountIds;
+
+    } catch (error) {
+      this.logger.error('Failed to find accessible accounts', {
+        userId,
+        errorMessage: error.message
+      });
+      throw AppError.databaseError('find accessible accounts', error);
+    }
+  }
+
+  /**
+   * Find customers with field variant, multi-column sort and keyset (cursor) or page pagination
+   * @param {Object} options - Query options
+   * @param {Object} options.where - Prisma filter conditions
+   * @param {Array<Object>} options.sort - Parsed sort keys ({ field, direction })
+   * @param {string} options.cursor - Opaque cursor from a previous page (nextCursor or prevCursor)
+   * @param {number} options.page - Page number (1-based), used without cursor
+   * @param {number} options.perPage - Records per page
+   * @param {string} options.variant - Field variant (header/summary/detail)
+   * @param {PrismaClient} client - Prisma client or transaction
+   * @returns {Promise<Object>} Customers page with next/prev cursors, plus totalCount in page mode
+   */
+  async findCustomers(options, client) {
+    const { where = {}, sort = [], cursor = null, page = 1, perPage = 50, variant = 'summary' } = options;
+
+    if (!client) {
+      throw AppError.validationError('client', client, 'Prisma client is required');
+    }
+
+    const variantSelect = CUSTOMER_FIELD_VARIANTS[variant];
+    if (!variantSelect) {
+      throw AppError.validationError('variant', variant, 'Valid variant required: header, summary, detail');
+    }
+
+    const sortKeys = this._withTieBreaker(sort);
+    const startTime = Date.now();
+
+    try {
+      const [result, totalCount] = await Promise.all([
+        paginate(client.customer, {
+          where,
+          orderBy: sortKeys.map(({ field, direction }) => ({ [field]: direction })),
+          select: variantSelect,
+          cursor,
+          page,
+          perPage
+        }),
+        cursor ? undefined : client.customer.count({ where })
+      ]);
+
+      logDatabaseOperation(`SELECT-${cursor ? 'KEYSET' : 'PAGINATED'}-${variant.toUpperCase()}`, 'customer', Date.now() - startTime, getRequestId(), 'customer-model');
+
+      debugSafe(`Found customers (${variant})`, {
+      customerCount: result.data.length,
+      totalCount,
+      hasNext: result.hasNext
+      }, 'customer-model');
+
+      return { ...result, totalCount };
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      this.logger.error(`Failed to find customers (${variant})`, {
+        variant,
+        errorMessage: error.message
+      });
+      throw AppError.databaseError(`find customers ${variant}`, error);
+    }
+  }
+
+  /**
+   * Parse a sort expression such as "customerName,-createdAt"
+   * @param {string} sortParam - Comma separated fields, "-" prefix for descending
+   * @returns {Array<Object>} Sort keys ({ field, direction })
+   * @throws {AppError} When a field is not sortable
+   */
+  parseCustomerSort(sortParam) {
+    if (!sortParam) {
+      return [{ field: 'customerName', direction: 'asc' }];
+    }
+
+    return String(sortParam).split(',').map(token => token.trim()).filter(Boolean).map(token => {
+      const direction = token.startsWith('-') ? 'desc' : 'asc';
+      const field = token.replace(/^[-+]/, '');
+
+      if (!CUSTOMER_SORTABLE_FIELDS.includes(field)) {
+        throw AppError.validationError('sort', sortParam, `Sortable fields: ${CUSTOMER_SORTABLE_FIELDS.join(', ')}`);
+      }
+
+      return { field, direction };
+    });
+  }
+
+  /**
+   * Append primary key as final sort key so every row has a unique position
+   * @private
+   * @param {Array<Object>} sort - Parsed sort keys
+   * @returns {Array<Object>} Sort keys ending with customerId
+   */
+  _withTieBreaker(sort) {
+    const index = sort.findIndex(({ field }) => field === 'customerId');
+    if (index !== -1) {
+      return sort.slice(0, index + 1);
+    }
+    return [...sort, { field: 'customerId', direction: 'asc' }];
+  }
+
   /**
    * Execute account-based query with error handling
    * @private
@@ -310,11 +551,12 @@ class CustomerModel {
    * @param {string} sqlQuery - SQL query constant
    * @param {number} customerId - Customer ID
    * @param {string} variant - Query variant (header/summary/detail)
+   * @param {Array<number>|null} accountScope - Account scope ($4), null for no restriction
    * @param {PrismaClient} client - Prisma client
    * @param {string} requestId - Request correlation ID
    * @returns {Promise<Array>} Query results
    */
-  async _executeCustomerQuery(sqlQuery, customerId, variant, client, requestId) {
+  async _executeCustomerQuery(sqlQuery, customerId, variant, accountScope, client, requestId) {
     if (!customerId || !client) {
       throw AppError.validationError('customerId', customerId, 'Customer ID and client are required');
     }
@@ -322,7 +564,7 @@ class CustomerModel {
     const startTime = Date.now();
 
     try {
-      const users = await client.$queryRawUnsafe(sqlQuery, customerId, 'ACT', 'ACT');
+      const users = await client.$queryRawUnsafe(sqlQuery, customerId, 'ACT', 'ACT', accountScope || null);
 
       const operationType = variant === 'detail' ? 'SELECT-JOIN-AGG' : 'SELECT-JOIN';
       logDatabaseOperation(`${operationType}-${variant.toUpperCase()}`, 'user+customer', Date.now() - startTime, requestId, 'customer-model');
@@ -331,6 +573,7 @@ class CustomerModel {
       customerId,
       userCount: users.length,
       variant,
+      scoped: !!accountScope,
       requestId
       }, 'customer-model');
 